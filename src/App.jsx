@@ -1,16 +1,20 @@
 // FILE: src/App.js
 
 import React from 'react';
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, NavLink } from 'react-router-dom';
 import {
   createTheme,
   ThemeProvider,
   CssBaseline,
   Box,
-  Typography
+  Typography,
+  Button
 } from '@mui/material';
 import Patcher from './components/Patcher';
 import LinePatcher from './components/LinePatcher';
+import WorkspacePatcher from './components/WorkspacePatcher';
+import SharedSession from './components/SharedSession';
+import ApiStatus from './components/ApiStatus';
 
 // Git‑Inspired Dark Theme
 const gitTheme = createTheme({
@@ -44,6 +48,13 @@ const gitTheme = createTheme({
   }
 });
 
+// Header links to the patchers; the current one is highlighted
+const NAV_LINKS = [
+  { to: '/', label: 'Patcher' },
+  { to: '/line-based-patcher', label: 'Line Patcher' },
+  { to: '/workspace', label: 'Workspace' }
+];
+
 export default function App() {
   return (
     <ThemeProvider theme={gitTheme}>
@@ -60,10 +71,22 @@ export default function App() {
           }}
         >
           {/* Header */}
-          <Box sx={{ p: 2 }}>
-            <Typography variant="h4" sx={{ fontWeight: 600 }}>
+          <Box sx={{ p: 2, display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography variant="h4" sx={{ fontWeight: 600, flex: 1 }}>
               Legend‑Driven Patcher
             </Typography>
+            {NAV_LINKS.map(link => (
+              <Button
+                key={link.to}
+                component={NavLink}
+                to={link.to}
+                end
+                sx={{ '&.active': { bgcolor: 'action.selected' } }}
+              >
+                {link.label}
+              </Button>
+            ))}
+            <ApiStatus />
           </Box>
 
           {/* Main Content */}
@@ -71,6 +94,8 @@ export default function App() {
             <Routes>
               <Route path="/" element={<Patcher />} />
               <Route path="/line-based-patcher" element={<LinePatcher />} />
+              <Route path="/workspace" element={<WorkspacePatcher />} />
+              <Route path="/session/:id" element={<SharedSession />} />
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
           </Box>
@@ -0,0 +1,108 @@
+// FILE: src/components/ApiStatus.jsx
+
+import React, { useState, useEffect } from 'react';
+import {
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Typography
+} from '@mui/material';
+import {
+  useApiStatus,
+  checkConnection,
+  getApiBaseURL,
+  setApiBaseURL,
+  DEFAULT_API_BASE_URL
+} from '../utils/api';
+
+// While offline, look for the server again this often
+const RECHECK_MS = 30000;
+
+const STATUS_CHIPS = {
+  unknown: { label: 'Connecting…', color: 'default' },
+  online: { label: 'Online', color: 'success' },
+  offline: { label: 'Offline – local only', color: 'warning' }
+};
+
+/**
+ * ApiStatus: backend connection indicator for the header
+ *   Clicking it opens the server settings, where the API base URL can be changed at runtime.
+ *   While offline it keeps checking in the background and when the browser comes back online.
+ */
+export default function ApiStatus() {
+  const status = useApiStatus();
+  const [open, setOpen] = useState(false);
+  const [url, setUrl] = useState('');
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    checkConnection();
+  }, []);
+
+  useEffect(() => {
+    if (status !== 'offline') return;
+    const timer = setInterval(checkConnection, RECHECK_MS);
+    window.addEventListener('online', checkConnection);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', checkConnection);
+    };
+  }, [status]);
+
+  const handleOpen = () => {
+    setUrl(getApiBaseURL());
+    setOpen(true);
+  };
+
+  // Saves the URL (empty = the default) and checks the server behind it
+  const handleSave = async () => {
+    setTesting(true);
+    await setApiBaseURL(url);
+    setTesting(false);
+    setUrl(getApiBaseURL());
+  };
+
+  return (
+    <>
+      <Chip
+        size="small"
+        variant="outlined"
+        onClick={handleOpen}
+        title="Server settings"
+        {...STATUS_CHIPS[status]}
+      />
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Server settings</DialogTitle>
+        <DialogContent dividers>
+          <TextField
+            fullWidth
+            size="small"
+            label="API base URL"
+            value={url}
+            onChange={e => setUrl(e.target.value)}
+            helperText={`Leave empty for the default, ${DEFAULT_API_BASE_URL}`}
+          />
+          <Typography sx={{ mt:2 }}>
+            Status: {testing ? 'checking…' : STATUS_CHIPS[status].label}
+          </Typography>
+          {status === 'offline' && !testing && (
+            <Typography variant="body2" sx={{ mt:1, color:'text.secondary' }}>
+              Sharing sessions needs the server. Everything else works locally, and your work is
+              saved in this browser.
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUrl('')}>Use default</Button>
+          <Button onClick={handleSave} disabled={testing}>Save &amp; test</Button>
+          <Button onClick={() => setOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,124 @@
+// FILE: src/components/DiffImportDialog.jsx
+
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Typography,
+  Stack
+} from '@mui/material';
+import { unifiedDiffToLegend } from '../legend';
+
+/**
+ * DiffImportDialog: paste (or load) `git diff` output and turn it into a Legend script
+ *   onImport(script) receives the converted script.
+ *   singleFile  – the script will patch one file, so a diff touching several is not imported
+ *                 whole; one of its files can be picked, or the diff taken to the Workspace
+ *   initialDiff – diff text to start with (the Workspace gets it that way)
+ * Hunks that could not be converted are listed before anything is imported.
+ */
+export default function DiffImportDialog({ open, onClose, onImport, singleFile = false, initialDiff = '' }) {
+  const [diffText, setDiffText] = useState(initialDiff);
+  const [error, setError] = useState(null);
+  const [converted, setConverted] = useState(null); // unifiedDiffToLegend result held for review
+
+  const handleFile = async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) setDiffText(await file.text());
+  };
+
+  const handleChange = text => {
+    setDiffText(text);
+    setConverted(null);
+  };
+
+  const finish = script => {
+    setConverted(null);
+    onImport(script);
+    onClose();
+  };
+
+  const handleConvert = () => {
+    try {
+      const result = unifiedDiffToLegend(diffText);
+      setError(null);
+      const tooMany = singleFile && result.files.length > 1;
+      if (tooMany || result.warnings.length) setConverted(result);
+      else finish(result.script);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const tooMany = converted && singleFile && converted.files.length > 1;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import unified diff</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" sx={{ mb:2 }}>
+          Paste `git diff` output. Context lines become AF+ / BF+ anchors, so the
+          converted script still applies where the diff itself no longer does.
+        </Typography>
+        <TextField
+          multiline fullWidth rows={14}
+          value={diffText}
+          onChange={e => handleChange(e.target.value)}
+          placeholder={'--- a/file.js\n+++ b/file.js\n@@ -1,3 +1,3 @@\n ...'}
+        />
+        {error && (
+          <Typography color="error" sx={{ mt:1 }}>
+            {error}
+          </Typography>
+        )}
+        {converted && converted.warnings.map((w, i) => (
+          <Typography key={i} color="warning.main" variant="body2" sx={{ mt:1 }}>
+            {w}
+          </Typography>
+        ))}
+        {tooMany && (
+          <>
+            <Typography color="warning.main" sx={{ mt:1 }}>
+              This diff changes {converted.files.length} files, but the Patcher has a single original.
+              Import one file’s changes, or open the whole diff in the Workspace.
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ mt:1, flexWrap:'wrap', gap:1 }}>
+              <Button size="small" variant="contained" component={RouterLink} to="/workspace" state={{ diff: diffText }}>
+                Open in Workspace
+              </Button>
+              {converted.sections.map(section => (
+                <Button key={section.path} size="small" variant="outlined" onClick={() => finish(section.script)}>
+                  Import {section.path}
+                </Button>
+              ))}
+            </Stack>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button component="label" color="inherit" sx={{ mr:'auto' }}>
+          Load .diff / .patch file
+          <input hidden type="file" accept=".diff,.patch,text/*" onChange={handleFile} />
+        </Button>
+        <Button onClick={onClose} color="inherit">Cancel</Button>
+        {converted && !tooMany
+          ? (
+            <Button onClick={() => finish(converted.script)} variant="contained">
+              Import anyway
+            </Button>
+          )
+          : (
+            <Button onClick={handleConvert} variant="contained" disabled={!diffText.trim() || !!converted}>
+              Convert to Legend
+            </Button>
+          )}
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,45 @@
+// FILE: src/components/DiffLines.jsx
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+const ROW_COLORS = {
+  deleted: { color: 'error.main', bgcolor: 'rgba(248,81,73,0.10)', sign: '-' },
+  inserted: { color: 'success.main', bgcolor: 'rgba(46,164,79,0.10)', sign: '+' },
+  unchanged: { color: 'text.secondary', bgcolor: 'transparent', sign: ' ' }
+};
+
+const gutterSx = {
+  width: '4ch',
+  flexShrink: 0,
+  textAlign: 'right',
+  pr: 1,
+  color: '#6e7681',
+  userSelect: 'none'
+};
+
+/**
+ * DiffLines: annotated rows from buildAnnotatedResult in a unified-diff layout
+ *   old line number | new line number | +/- | text
+ */
+export default function DiffLines({ rows }) {
+  return (
+    <Box sx={{ fontFamily: 'inherit', fontSize: 14 }}>
+      {rows.map((row, i) => {
+        const { color, bgcolor, sign } = ROW_COLORS[row.status];
+        return (
+          <Box key={i} sx={{ display: 'flex', bgcolor }}>
+            <Box component="span" sx={gutterSx}>{row.oldNo ?? ''}</Box>
+            <Box component="span" sx={gutterSx}>{row.newNo ?? ''}</Box>
+            <Typography
+              component="span"
+              sx={{ fontFamily: 'inherit', fontSize: 'inherit', color, whiteSpace: 'pre-wrap', flex: 1 }}
+            >
+              {sign + ' ' + row.text}
+            </Typography>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
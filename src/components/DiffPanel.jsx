@@ -0,0 +1,89 @@
+// FILE: src/components/DiffPanel.jsx
+
+import React, { useMemo, useState, useRef, useEffect } from 'react';
+import { Diff2HtmlUI } from 'diff2html/lib-esm/ui/js/diff2html-ui-slim';
+import 'diff2html/bundles/css/diff2html.min.css';
+import 'highlight.js/styles/github-dark.min.css';
+import {
+  Box,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  Select,
+  MenuItem
+} from '@mui/material';
+import { buildUnifiedDiff, FULL_CONTEXT } from '../utils/diff';
+import { LANGUAGES, languageFromPath } from '../utils/language';
+
+const CONTEXT_OPTIONS = [
+  { value: 3, label: '3 lines' },
+  { value: 10, label: '10 lines' },
+  { value: FULL_CONTEXT, label: 'Full file' }
+];
+
+// Gives a name without a known extension the one of `language`, so the diff is highlighted
+function withExtension(name, language) {
+  return language && !languageFromPath(name) ? `${name}.${LANGUAGES[language].extensions[0]}` : name;
+}
+
+/**
+ * DiffPanel: diff2html rendering of oldText → newText
+ *   - side-by-side or line-by-line
+ *   - unchanged lines folded down to the chosen context
+ *   - changed words highlighted within each line
+ *   - syntax highlighting by the file names' extension, or `language` (see utils/language.js)
+ */
+export default function DiffPanel({ oldText, newText, oldName = 'original', newName = 'patched', language }) {
+  const [outputFormat, setOutputFormat] = useState('side-by-side');
+  const [context, setContext] = useState(3);
+  const containerRef = useRef(null);
+
+  const diffText = useMemo(() => {
+    if (oldText === newText) return '';
+    return buildUnifiedDiff(oldText, newText, {
+      oldName: withExtension(oldName, language),
+      newName: withExtension(newName, language),
+      context
+    });
+  }, [oldText, newText, oldName, newName, language, context]);
+
+  useEffect(() => {
+    if (!diffText || !containerRef.current) return;
+    new Diff2HtmlUI(containerRef.current, diffText, {
+      outputFormat,
+      drawFileList: false,
+      matching: 'lines',
+      diffStyle: 'word',
+      colorScheme: 'dark',
+      highlight: true,
+      fileContentToggle: false,
+      stickyFileHeaders: false
+    }).draw();
+  }, [diffText, outputFormat]);
+
+  return (
+    <Box>
+      <Box sx={{ display:'flex', alignItems:'center', gap:2, mb:1 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={outputFormat}
+          onChange={(_, v) => v && setOutputFormat(v)}
+        >
+          <ToggleButton value="side-by-side">Side by side</ToggleButton>
+          <ToggleButton value="line-by-line">Unified</ToggleButton>
+        </ToggleButtonGroup>
+        <Typography variant="body2">Context:</Typography>
+        <Select size="small" value={context} onChange={e => setContext(e.target.value)}>
+          {CONTEXT_OPTIONS.map(o => (
+            <MenuItem key={o.label} value={o.value}>{o.label}</MenuItem>
+          ))}
+        </Select>
+      </Box>
+      {diffText
+        ? <Box ref={containerRef} sx={{ overflowX:'auto' }} />
+        : <Typography>(No differences.)</Typography>
+      }
+    </Box>
+  );
+}
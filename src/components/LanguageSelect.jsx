@@ -0,0 +1,21 @@
+// FILE: src/components/LanguageSelect.jsx
+
+import React from 'react';
+import { Select, MenuItem } from '@mui/material';
+import { LANGUAGES, AUTO_LANGUAGE } from '../utils/language';
+
+/**
+ * LanguageSelect: picks the language the code views highlight
+ *   value    – a LANGUAGES id, or AUTO_LANGUAGE to go with `detected`
+ *   detected – the language guessed from the content, shown on the Auto entry
+ */
+export default function LanguageSelect({ value, detected, onChange }) {
+  return (
+    <Select size="small" value={value} onChange={e => onChange(e.target.value)} sx={{ minWidth:160 }}>
+      <MenuItem value={AUTO_LANGUAGE}>Auto ({LANGUAGES[detected].label})</MenuItem>
+      {Object.entries(LANGUAGES).map(([id, { label }]) => (
+        <MenuItem key={id} value={id}>{label}</MenuItem>
+      ))}
+    </Select>
+  );
+}
@@ -1,11 +1,26 @@
 // FILE: src/components/LinePatcher.jsx
 
-import React, { useState } from 'react';
-import { Box, Typography, TextField, Button, Card, Stack, CssBaseline } from '@mui/material';
+import React, { useState, useMemo } from 'react';
+import { Box, Typography, TextField, Button, Card, Stack, CssBaseline, IconButton } from '@mui/material';
 import { createTheme, ThemeProvider, styled } from '@mui/material/styles';
+import HistoryIcon from '@mui/icons-material/History';
+import ShareIcon from '@mui/icons-material/Share';
 import CodeMirror from '@uiw/react-codemirror';
-import { javascript } from '@codemirror/lang-javascript';
 import { lineNumbers } from '@codemirror/view';
+import { languageExtension } from '../editor/languages';
+import { detectLanguage, fileNameFor, AUTO_LANGUAGE } from '../utils/language';
+import DiffPanel from './DiffPanel';
+import LanguageSelect from './LanguageSelect';
+import PatchExportDialog from './PatchExportDialog';
+import SessionDrawer from './SessionDrawer';
+import ShareSessionDialog from './ShareSessionDialog';
+import SessionNotices from './SessionNotices';
+import { loadDraft, useSession } from '../utils/sessions';
+import { parseNumberedCode, parseInstructions, applyLineOps } from '../utils/linePatch';
+import { SESSION_KINDS } from '../utils/sessionApi';
+
+// utils/sessions.js scope. The saved state is { numberedCode, instructionsText, originalCode, resultCode }
+const SESSION_SCOPE = 'linePatcher';
 
 // A simple dark theme (can be reused from your existing code)
 const darkTheme = createTheme({
@@ -38,9 +53,12 @@ const EditorWrapper = styled(Box)(() => ({
   }
 }));
 
-export default function LinePatcher() {
+export default function LinePatcher({ session: sharedSession }) {
+  // A session opened from a /session/:id link, else the last visit's autosave
+  const [draft] = useState(() => sharedSession || loadDraft(SESSION_SCOPE) || {});
+
   // State for the user’s line-numbered code
-  const [numberedCode, setNumberedCode] = useState('');
+  const [numberedCode, setNumberedCode] = useState(draft.numberedCode || '');
 
   // State for instructions, e.g.
   //   Remove line 1
@@ -48,179 +66,71 @@ export default function LinePatcher() {
   //   Add after line 5:
   //     console.log("Line 6");
   //     console.log("Line 7");
-  const [instructionsText, setInstructionsText] = useState('');
+  //   Move lines 8-10 after line 2
+  // (see parseInstructions in utils/linePatch.js for all of them)
+  const [instructionsText, setInstructionsText] = useState(draft.instructionsText || '');
 
   // Final result code
-  const [resultCode, setResultCode] = useState('');
-
-  // A helper to parse the code lines. We assume the code has lines like:
-  // "1function foo() {", "2console.log('hello');", ...
-  // We'll store them in an array of objects: [{num: 1, text: 'function foo() {'}, ...]
-  function parseNumberedCode() {
-    const lines = numberedCode.split('\n').map(raw => {
-      // For safety, separate the leading digits from the rest
-      // e.g. "12some code here"
-      // We'll parse out "12" and "some code here"
-      const match = raw.match(/^(\d+)(.*)$/);
-      if (!match) {
-        return { num: null, text: raw.trim() };
-      }
-      return {
-        num: parseInt(match[1], 10),
-        text: match[2].trim()
-      };
-    });
-    return lines;
-  }
+  const [resultCode, setResultCode] = useState(draft.resultCode || '');
 
-  // We'll parse the instructions from the multiline text field
-  // We'll handle these patterns (one instruction per line):
-  //  1) "Remove line X"
-  //  2) "Replace line X with: SOMETHING"
-  //  3) "Add after line X:" (then additional lines follow until a blank line or end)
-  function parseInstructions() {
-    // We can parse each line individually,
-    // but "Add after line X:" might be multi-line until next blank line or next instruction.
-    // For simplicity, let's do a single pass:
-    const lines = instructionsText.split('\n');
-    const ops = [];
-    let i = 0;
-    while (i < lines.length) {
-      const raw = lines[i].trim();
-      if (!raw) {
-        // empty line -> skip
-        i++;
-        continue;
-      }
+  // The code as it was before Apply (line numbers stripped), for the diff
+  const [originalCode, setOriginalCode] = useState(draft.originalCode || '');
 
-      // Remove line X
-      let match = raw.match(/^remove line\s+(\d+)/i);
-      if (match) {
-        ops.push({
-          type: 'remove',
-          lineNum: parseInt(match[1], 10)
-        });
-        i++;
-        continue;
-      }
+  // Instructions the last Apply skipped, and why
+  const [problems, setProblems] = useState([]);
 
-      // Replace line X with:
-      match = raw.match(/^replace line\s+(\d+)\s+with:\s*(.*)/i);
-      if (match) {
-        const lineNum = parseInt(match[1], 10);
-        // Everything after "with:" on the same line is the new text
-        const newText = match[2] || '';
-        ops.push({
-          type: 'replace',
-          lineNum,
-          newLines: [ newText ]
-        });
-        i++;
-        continue;
-      }
+  const [exportOpen, setExportOpen] = useState(false);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
 
-      // Add after line X:
-      match = raw.match(/^add after line\s+(\d+):\s*(.*)/i);
-      if (match) {
-        const lineNum = parseInt(match[1], 10);
+  const sessionState = useMemo(
+    () => ({ numberedCode, instructionsText, originalCode, resultCode }),
+    [numberedCode, instructionsText, originalCode, resultCode]
+  );
+  const session = useSession(SESSION_SCOPE, sessionState, { shared: !!sharedSession });
 
-        // The rest of the line after the colon is the first new line. Possibly empty
-        const firstLine = match[2] || '';
+  const handleRestore = ({ state }) => {
+    setNumberedCode(state.numberedCode);
+    setInstructionsText(state.instructionsText);
+    setOriginalCode(state.originalCode
+      ?? parseNumberedCode(state.numberedCode).map(line => line.text).join('\n'));
+    setResultCode(state.resultCode);
+  };
 
-        // Then we might have subsequent lines until we hit an empty line OR next instruction
-        const newLines = [ firstLine ];
-        i++;
-        // collect additional lines until blank or next recognized instruction pattern
-        while (i < lines.length) {
-          const testLine = lines[i];
-          if (!testLine.trim()) {
-            // blank => end of multi-line block
-            break;
-          }
-          // If the next line looks like a new instruction (remove/replace/add), break
-          if (
-            /^remove line/i.test(testLine) ||
-            /^replace line/i.test(testLine) ||
-            /^add after line/i.test(testLine)
-          ) {
-            // that’s a new instruction => break
-            break;
-          }
-          // otherwise, add this line to newLines
-          newLines.push(testLine);
-          i++;
-        }
-        // We’ve consumed the lines that belong to this "Add after line"
-        ops.push({
-          type: 'insert',
-          lineNum,
-          newLines
-        });
-        continue; // skip i++ because we did it in the loop
-      }
+  const handleSaveSnapshot = name => {
+    session.saveSnapshot({ name, label: 'Line-based patch', text: resultCode, state: sessionState });
+  };
+  const [language, setLanguage] = useState(AUTO_LANGUAGE); // or a LANGUAGES id
 
-      // If none of the patterns matched, we skip this line
-      i++;
-    }
-    return ops;
-  }
+  // Detected from the code with its line numbers taken off
+  const detectedLanguage = useMemo(
+    () => detectLanguage(parseNumberedCode(numberedCode).map(line => line.text).join('\n')),
+    [numberedCode]
+  );
+  const codeLanguage = language === AUTO_LANGUAGE ? detectedLanguage : language;
+  const codeExtensions = useMemo(() => [lineNumbers(), languageExtension(codeLanguage)], [codeLanguage]);
 
   // The main function that runs on "Apply"
   function handleApply() {
-    const parsedLines = parseNumberedCode();
-    if (!parsedLines.length) {
-      setResultCode('');
-      return;
-    }
-    const ops = parseInstructions();
-
-    // We'll build an array of just the text, ignoring line numbers from the user’s paste
-    // Because we already have them in parseNumberedCode() as `parsedLines`.
-    const newCodeArray = parsedLines.map(item => item.text);
+    const parsedLines = parseNumberedCode(numberedCode);
+    const ops = parseInstructions(instructionsText);
 
-    // Apply each op in sequence
-    // Note that lineNum references the "parsedLines" numbering, so we find the index.
-    ops.forEach(op => {
-      const lineIndex = parsedLines.findIndex(item => item.num === op.lineNum);
-      if (lineIndex < 0) {
-        // the user said "Remove line 999" but there's no line 999
-        return; // skip
-      }
+    // The code as pasted, without its line numbers, for the diff
+    const parsedCode = parsedLines.map(item => item.text).join('\n');
+    setOriginalCode(parsedCode);
 
-      if (op.type === 'remove') {
-        // remove the line at lineIndex
-        newCodeArray.splice(lineIndex, 1);
-        // also remove from parsedLines so subsequent instructions can reference correct lines
-        parsedLines.splice(lineIndex, 1);
-      }
-      else if (op.type === 'replace') {
-        // replace that line with new text
-        newCodeArray.splice(lineIndex, 1, ...op.newLines);
-        // update parsedLines in case further instructions refer to the same lines
-        parsedLines.splice(
-          lineIndex,
-          1,
-          ...op.newLines.map((txt, idx) => {
-            // the original line had num=..., so let's keep the same lineNum for the first replaced line
-            // subsequent lines get no lineNum, or we can do something else. For simplicity, we’ll do null.
-            return idx === 0
-              ? { num: op.lineNum, text: txt }
-              : { num: null, text: txt };
-          })
-        );
-      }
-      else if (op.type === 'insert') {
-        // insert new lines after lineIndex
-        // lineIndex is zero-based, so "after line X" = lineIndex+1
-        newCodeArray.splice(lineIndex + 1, 0, ...op.newLines);
-        // also splice into parsedLines
-        const newParsed = op.newLines.map(txt => ({ num: null, text: txt }));
-        parsedLines.splice(lineIndex + 1, 0, ...newParsed);
-      }
+    // Line numbers in the instructions always mean the pasted numbering
+    const { lines, problems: found } = applyLineOps(parsedLines, ops);
+    const result = lines.join('\n');
+    setResultCode(result);
+    setProblems(found);
+    session.recordRun({
+      label: `Apply (${ops.length} instructions)`,
+      detail: found.length ? `${found.length} skipped` : undefined,
+      text: result,
+      // originalCode is the numbered code without its numbers; handleRestore works it out again
+      state: { numberedCode, instructionsText, resultCode: result }
     });
-
-    // Combine final
-    setResultCode(newCodeArray.join('\n'));
   }
 
   return (
@@ -230,27 +140,35 @@ export default function LinePatcher() {
         <Box sx={{ width:'50%', minWidth:400, borderRight:'1px solid #30363d', p:2, overflowY:'auto' }}>
           <Typography variant="h5" gutterBottom>Line-Based Patcher</Typography>
 
-          <Typography variant="subtitle1" sx={{ mt:2 }}>
-            Paste your **line-numbered** code here:
-          </Typography>
+          <Box sx={{ display:'flex', alignItems:'center', mt:2 }}>
+            <Typography variant="subtitle1" sx={{ flex:1 }}>
+              Paste your **line-numbered** code here (12| code, as the Patcher copies it):
+            </Typography>
+            <LanguageSelect value={language} detected={detectedLanguage} onChange={setLanguage} />
+          </Box>
           <EditorWrapper>
             <CodeMirror
               value={numberedCode}
-              extensions={[lineNumbers(), javascript({ jsx: true })]}
+              extensions={codeExtensions}
               onChange={(val) => setNumberedCode(val)}
             />
           </EditorWrapper>
 
           <Typography variant="subtitle1" sx={{ mt:2 }}>
-            Instructions (one instruction per line).<br/>
-            Examples:
+            Instructions (one per line; blocks run until a blank line or the next instruction).<br/>
+            Line numbers always mean the numbers in the pasted code. Examples:
           </Typography>
           <Typography variant="body2" sx={{ fontStyle:'italic', ml:2 }}>
             Remove line 1<br/>
             Replace line 2 with: console.log("foo");<br/>
             Add after line 5:<br/>
             &nbsp;&nbsp;console.log("Line 6");<br/>
-            &nbsp;&nbsp;console.log("Line 7");
+            &nbsp;&nbsp;console.log("Line 7");<br/>
+            Remove lines 8-10<br/>
+            Replace lines 11-12 with:<br/>
+            &nbsp;&nbsp;return total;<br/>
+            Add before line 1: 'use strict';<br/>
+            Move lines 14-16 after line 3
           </Typography>
 
           <TextField
@@ -266,21 +184,75 @@ export default function LinePatcher() {
           <Box sx={{ display:'flex', justifyContent:'flex-end', mt:2 }}>
             <Button variant="contained" onClick={handleApply}>Apply</Button>
           </Box>
+          {problems.map((p, i) => (
+            <Typography key={i} color="warning.main" variant="body2" sx={{ mt:1 }}>
+              {p}
+            </Typography>
+          ))}
         </Box>
 
         <Box sx={{ flex:1, p:2, overflowY:'auto' }}>
-          <Typography variant="h5" gutterBottom>Result</Typography>
+          <Box sx={{ display:'flex', alignItems:'center', mb:1 }}>
+            <Typography variant="h5" sx={{ flex:1 }}>Result</Typography>
+            <IconButton color="primary" onClick={() => setSessionsOpen(true)} title="Runs & snapshots">
+              <HistoryIcon />
+            </IconButton>
+            <IconButton color="primary" onClick={() => setShareOpen(true)} title="Share session">
+              <ShareIcon />
+            </IconButton>
+          </Box>
+          <SessionNotices session={session} />
           <Card variant="outlined" sx={{ p:2, bgcolor:'#161B22', border:'1px solid #30363d' }}>
             <EditorWrapper>
               <CodeMirror
                 value={resultCode}
                 readOnly
-                extensions={[lineNumbers(), javascript({ jsx:true })]}
+                extensions={codeExtensions}
               />
             </EditorWrapper>
+            <Box sx={{ display:'flex', justifyContent:'flex-end', mt:2 }}>
+              <Button variant="outlined" onClick={() => setExportOpen(true)} disabled={!resultCode}>
+                Export .patch
+              </Button>
+            </Box>
           </Card>
+
+          {resultCode && (
+            <Card variant="outlined" sx={{ p:2, mt:2, bgcolor:'#161B22', border:'1px solid #30363d' }}>
+              <Typography variant="h6" gutterBottom>Diff</Typography>
+              <DiffPanel oldText={originalCode} newText={resultCode} language={codeLanguage} />
+            </Card>
+          )}
         </Box>
       </Box>
+
+      <SessionDrawer
+        open={sessionsOpen}
+        onClose={() => setSessionsOpen(false)}
+        runs={session.runs}
+        snapshots={session.snapshots}
+        currentText={resultCode}
+        language={codeLanguage}
+        onRestore={handleRestore}
+        onSaveSnapshot={handleSaveSnapshot}
+        onDeleteSnapshot={session.deleteSnapshot}
+        onClearRuns={session.clearRuns}
+      />
+
+      <ShareSessionDialog
+        open={shareOpen}
+        onClose={() => setShareOpen(false)}
+        kind={SESSION_KINDS.linePatcher}
+        state={sessionState}
+      />
+
+      <PatchExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        oldText={originalCode}
+        newText={resultCode}
+        fileName={fileNameFor(codeLanguage)}
+      />
     </ThemeProvider>
   );
 }
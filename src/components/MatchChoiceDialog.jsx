@@ -0,0 +1,228 @@
+// FILE: src/components/MatchChoiceDialog.jsx
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Radio,
+  Typography
+} from '@mui/material';
+import { opTitle, describeMatchSettings } from '../legend';
+import DiffLines from './DiffLines';
+
+/**
+ * useMatchChoice: bridges applyLegend's resolveAmbiguity to the dialog
+ *   resolveAmbiguity(request) – pass to applyLegend; opens the dialog and waits
+ *   pending                   – the request being shown ({ op, target, choices, path? })
+ *   answer(result)            – resolves the waiting op with { lineIndex, skip }, { all }
+ *                               or { skip, skipRemaining }
+ */
+export function useMatchChoice() {
+  const [pending, setPending] = useState(null);
+  // The request waiting for an answer, so answer() can settle it outside a state update
+  const pendingRef = useRef(null);
+
+  const resolveAmbiguity = useCallback(
+    request => new Promise(resolve => {
+      pendingRef.current = { ...request, resolve };
+      setPending(pendingRef.current);
+    }),
+    []
+  );
+
+  const answer = useCallback(result => {
+    const current = pendingRef.current;
+    if (!current) return;
+    pendingRef.current = null;
+    setPending(null);
+    current.resolve(result);
+  }, []);
+
+  return { pending, resolveAmbiguity, answer };
+}
+
+/* ------------------ Candidate Display ------------------ */
+
+const PREVIEW_STATUS = { context: 'unchanged', removed: 'deleted', added: 'inserted' };
+
+// applyLegend's preview rows → DiffLines rows, numbered from the first line shown
+function previewRows(choice) {
+  let oldNo = choice.around[0].lineNo;
+  let newNo = oldNo;
+  return choice.preview.map(({ text, kind }) => ({
+    text,
+    status: PREVIEW_STATUS[kind],
+    oldNo: kind === 'added' ? null : oldNo++,
+    newNo: kind === 'removed' ? null : newNo++
+  }));
+}
+
+function choiceLabel({ idx, length = 1, dist, similarity, exact, confidence }) {
+  const where = length > 1 ? `Lines ${idx+1}-${idx+length}` : `Line ${idx+1}`;
+  const how = exact
+    ? 'exact match'
+    : similarity !== undefined
+      ? `${similarity}% similar${dist !== undefined ? `, distance=${dist}` : ''}`
+      : 'close match';
+  return `${where} · ${how}${confidence !== undefined ? ` · ${confidence}% confidence` : ''}`;
+}
+
+// The candidate with a few lines around it, matched lines highlighted
+function CandidateContext({ around }) {
+  return (
+    <Box sx={{ fontSize: 13, mt: 0.5 }}>
+      {around.map(line => (
+        <Box
+          key={line.lineNo}
+          sx={{
+            display: 'flex',
+            bgcolor: line.match ? 'rgba(240,80,50,0.18)' : 'transparent',
+            color: line.match ? 'text.primary' : 'text.secondary'
+          }}
+        >
+          <Box component="span" sx={{ width: '5ch', flexShrink: 0, textAlign: 'right', pr: 1, color: '#6e7681' }}>
+            {line.lineNo}
+          </Box>
+          <Box component="span" sx={{ whiteSpace: 'pre-wrap' }}>{line.text}</Box>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+/* ------------------ Dialog ------------------ */
+
+/**
+ * MatchChoiceDialog: the “multiple lines matched or close matches” dialog
+ *   The user picks which spot to patch, applies the op at every candidate, skips it,
+ *   or skips every remaining ambiguous op.
+ *   Choices arrive ranked (see legend/rank.js); the best one is pre-selected, and each
+ *   shows its surrounding code, the selected one also a preview of the result.
+ *   Keys: ↑/↓ (or k/j) move, 1–9 pick, Enter confirms, Esc skips.
+ *   `settings` – the matching settings in effect, summarized so candidates can be judged
+ */
+export default function MatchChoiceDialog({ pending, onAnswer, settings }) {
+  const [selected, setSelected] = useState(0); // position in pending.choices
+
+  // default to the best-ranked candidate
+  useEffect(() => {
+    setSelected(0);
+  }, [pending]);
+
+  const choices = pending ? pending.choices : [];
+  const current = choices[selected];
+  const canApplyAll = pending && pending.op.type !== 'deleteRange' && choices.length > 1;
+
+  const handleConfirm = () => onAnswer({ lineIndex: current.idx, skip: false });
+  const handleSkip = () => onAnswer({ lineIndex: null, skip: true });
+  const handleApplyAll = () => onAnswer({ all: true });
+  const handleSkipRemaining = () => onAnswer({ lineIndex: null, skip: true, skipRemaining: true });
+
+  const handleKeyDown = e => {
+    if (e.key === 'ArrowDown' || e.key === 'j') {
+      setSelected(s => Math.min(choices.length - 1, s + 1));
+    } else if (e.key === 'ArrowUp' || e.key === 'k') {
+      setSelected(s => Math.max(0, s - 1));
+    } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= choices.length) {
+      setSelected(Number(e.key) - 1);
+    } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+      handleConfirm();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  return (
+    <Dialog open={!!pending} onClose={handleSkip} onKeyDown={handleKeyDown} maxWidth="lg" fullWidth>
+      {pending && (
+        <>
+          <DialogTitle>
+            {opTitle(pending.op)} operation{pending.path ? ` in ${pending.path}` : ''}
+          </DialogTitle>
+          <DialogContent dividers>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Multiple lines found or close matches for:
+            </Typography>
+            <Typography variant="body2" sx={{ fontWeight:'bold', mb:2, whiteSpace:'pre-wrap' }}>
+              {pending.target}
+            </Typography>
+            <Typography variant="body2" sx={{ mb:1 }}>
+              Pick the spot you want to patch or skip entirely (↑/↓ or 1–9 to move, Enter to confirm, Esc to skip):
+            </Typography>
+            {settings && (
+              <Typography variant="caption" component="div" sx={{ mb:1, color:'text.secondary' }}>
+                Matching: {describeMatchSettings(settings)}
+              </Typography>
+            )}
+
+            <Box sx={{ display:'flex', gap:2, alignItems:'flex-start' }}>
+              {/* Candidates */}
+              <Box role="radiogroup" sx={{ flex:1, minWidth:0 }}>
+                {choices.map((choice, i) => (
+                  <Box
+                    key={choice.idx}
+                    role="radio"
+                    aria-checked={i === selected}
+                    onClick={() => setSelected(i)}
+                    onDoubleClick={() => onAnswer({ lineIndex: choice.idx, skip: false })}
+                    sx={{
+                      p:1,
+                      mb:1,
+                      cursor:'pointer',
+                      border:'1px solid',
+                      borderColor: i === selected ? 'primary.main' : '#30363d',
+                      borderRadius:1
+                    }}
+                  >
+                    <Box sx={{ display:'flex', alignItems:'center' }}>
+                      <Radio size="small" checked={i === selected} tabIndex={-1} sx={{ p:0, mr:1 }} />
+                      <Typography variant="body2" sx={{ flex:1 }}>
+                        {i < 9 ? `${i + 1}. ` : ''}{choiceLabel(choice)}
+                      </Typography>
+                    </Box>
+                    {choice.around
+                      ? <CandidateContext around={choice.around} />
+                      : <Typography variant="body2" sx={{ whiteSpace:'pre-wrap' }}>{choice.text}</Typography>}
+                  </Box>
+                ))}
+              </Box>
+
+              {/* Preview of the selected candidate */}
+              {current && current.preview && (
+                <Box sx={{ flex:1, minWidth:0, position:'sticky', top:0 }}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Result at {current.length > 1 ? `lines ${current.idx+1}-${current.idx+current.length}` : `line ${current.idx+1}`}
+                  </Typography>
+                  <Box sx={{ border:'1px solid #30363d', borderRadius:1, p:1 }}>
+                    <DiffLines rows={previewRows(current)} />
+                  </Box>
+                </Box>
+              )}
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleSkipRemaining} color="inherit" sx={{ mr:'auto' }}>
+              Skip all remaining
+            </Button>
+            <Button onClick={handleSkip} color="inherit">
+              Skip
+            </Button>
+            {canApplyAll && (
+              <Button onClick={handleApplyAll}>
+                Apply to all {choices.length} matches
+              </Button>
+            )}
+            <Button onClick={handleConfirm} variant="contained">
+              Confirm
+            </Button>
+          </DialogActions>
+        </>
+      )}
+    </Dialog>
+  );
+}
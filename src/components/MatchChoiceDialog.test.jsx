@@ -0,0 +1,52 @@
+import React from 'react';
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useMatchChoice } from './MatchChoiceDialog';
+
+// Renders the hook and hands its latest result to the test
+function Probe({ onRender }) {
+  onRender(useMatchChoice());
+  return null;
+}
+
+describe('useMatchChoice', () => {
+  let root;
+  let latest;
+
+  beforeAll(() => {
+    global.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+
+  beforeEach(() => {
+    root = createRoot(document.createElement('div'));
+    act(() => root.render(<React.StrictMode><Probe onRender={result => { latest = result; }} /></React.StrictMode>));
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  it('settles each request once with its own answer, under StrictMode', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    await act(async () => {
+      latest.resolveAmbiguity({ target: 'a' }).then(first);
+    });
+    expect(latest.pending.target).toBe('a');
+
+    await act(async () => {
+      latest.answer({ lineIndex: 1 });
+      latest.answer({ lineIndex: 2 }); // nothing waiting any more
+      latest.resolveAmbiguity({ target: 'b' }).then(second);
+    });
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(first).toHaveBeenCalledWith({ lineIndex: 1 });
+    expect(second).not.toHaveBeenCalled();
+    expect(latest.pending.target).toBe('b');
+
+    await act(async () => latest.answer({ skip: true }));
+    expect(second).toHaveBeenCalledWith({ skip: true });
+    expect(latest.pending).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+// FILE: src/components/MatchSettingsDialog.jsx
+
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Checkbox,
+  TextField,
+  MenuItem,
+  Stack,
+  Typography
+} from '@mui/material';
+import { DEFAULT_MATCH_SETTINGS, resolveMatchSettings, describeMatchSettings } from '../legend';
+
+// localStorage key the Patcher and the Workspace share
+export const MATCH_SETTINGS_KEY = 'legend.matchSettings';
+
+/**
+ * MatchSettingsDialog: how Legend targets are matched against the file
+ *   Edits a draft; onSave(settings) only fires on Save.
+ */
+export default function MatchSettingsDialog({ open, settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => resolveMatchSettings(settings));
+
+  // start from the saved settings every time the dialog opens
+  useEffect(() => {
+    if (open) setDraft(resolveMatchSettings(settings));
+  }, [open, settings]);
+
+  const set = (name, value) => setDraft(prev => ({ ...prev, [name]: value }));
+
+  const handleSave = () => {
+    onSave(resolveMatchSettings(draft));
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Matching Settings</DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={1}>
+          <FormControlLabel
+            control={<Checkbox checked={draft.caseSensitive} onChange={e => set('caseSensitive', e.target.checked)} />}
+            label="Case-sensitive"
+          />
+          <FormControlLabel
+            control={<Checkbox checked={draft.whitespaceExact} onChange={e => set('whitespaceExact', e.target.checked)} />}
+            label="Match inner whitespace exactly"
+          />
+          <FormControlLabel
+            control={<Checkbox checked={draft.strict} onChange={e => set('strict', e.target.checked)} />}
+            label="Strict (exact matches only, never fuzzy)"
+          />
+          <TextField
+            select
+            size="small"
+            label="Similarity"
+            value={draft.similarity}
+            disabled={draft.strict}
+            onChange={e => set('similarity', e.target.value)}
+          >
+            <MenuItem value="levenshtein">Edit distance (Levenshtein)</MenuItem>
+            <MenuItem value="tokens">Token overlap (Jaccard)</MenuItem>
+          </TextField>
+          <TextField
+            size="small"
+            type="number"
+            label="Minimum similarity (%)"
+            value={draft.threshold}
+            disabled={draft.strict}
+            inputProps={{ min:0, max:100 }}
+            onChange={e => set('threshold', e.target.value)}
+          />
+          <TextField
+            size="small"
+            type="number"
+            label="Max candidates per op"
+            value={draft.maxCandidates}
+            disabled={draft.strict}
+            inputProps={{ min:1 }}
+            onChange={e => set('maxCandidates', e.target.value)}
+          />
+          <TextField
+            size="small"
+            type="number"
+            label="Auto-accept above (% confidence, 0 = always ask)"
+            value={draft.autoAccept}
+            inputProps={{ min:0, max:100 }}
+            onChange={e => set('autoAccept', e.target.value)}
+          />
+          <Typography variant="body2" sx={{ color:'text.secondary' }}>
+            {describeMatchSettings(draft)}
+          </Typography>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button color="inherit" onClick={() => setDraft(DEFAULT_MATCH_SETTINGS)} sx={{ mr:'auto' }}>
+          Defaults
+        </Button>
+        <Button color="inherit" onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,104 @@
+// FILE: src/components/PatchExportDialog.jsx
+
+import React, { useMemo, useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Stack,
+  Typography
+} from '@mui/material';
+import { buildPatchFile } from '../utils/diff';
+import { downloadFile } from '../utils/download';
+
+/**
+ * PatchExportDialog: exports oldText → newText as a unified .patch file
+ *   The `---` / `+++` names and the number of context lines are editable so the
+ *   output can go straight into `git apply`. The names start from `fileName` each time the
+ *   dialog opens, and nothing is exported while one is empty.
+ */
+export default function PatchExportDialog({ open, onClose, oldText, newText, fileName }) {
+  const [oldName, setOldName] = useState('');
+  const [newName, setNewName] = useState('');
+  const [context, setContext] = useState(3);
+
+  useEffect(() => {
+    if (!open) return;
+    setOldName(`a/${fileName}`);
+    setNewName(`b/${fileName}`);
+  }, [open, fileName]);
+
+  const named = !!oldName.trim() && !!newName.trim();
+  const patch = useMemo(
+    () => (open && named ? buildPatchFile(oldText, newText, { oldName, newName, context }) : ''),
+    [open, named, oldText, newText, oldName, newName, context]
+  );
+
+  const handleCopy = () => {
+    if (!patch) return;
+    navigator.clipboard.writeText(patch);
+  };
+
+  const handleDownload = () => {
+    if (!patch) return;
+    const base = newName.split('/').pop() || 'changes';
+    downloadFile(`${base}.patch`, patch, 'text/x-diff');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Export unified diff</DialogTitle>
+      <DialogContent dividers>
+        <Stack direction="row" spacing={2} sx={{ mb:2 }}>
+          <TextField
+            label="--- (original) name"
+            size="small"
+            fullWidth
+            required
+            error={!oldName.trim()}
+            helperText="Path git apply patches, e.g. a/src/app.js"
+            value={oldName}
+            onChange={e => setOldName(e.target.value)}
+          />
+          <TextField
+            label="+++ (patched) name"
+            size="small"
+            fullWidth
+            required
+            error={!newName.trim()}
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+          />
+          <TextField
+            label="Context lines"
+            size="small"
+            type="number"
+            sx={{ width:160 }}
+            inputProps={{ min:0 }}
+            value={context}
+            onChange={e => setContext(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          />
+        </Stack>
+        {patch
+          ? (
+            <Typography
+              component="pre"
+              sx={{ fontFamily:'inherit', fontSize:13, whiteSpace:'pre', overflow:'auto', maxHeight:400, m:0 }}
+            >
+              {patch}
+            </Typography>
+          )
+          : <Typography>{named ? '(No differences to export.)' : 'Name the file to export its patch.'}</Typography>
+        }
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="inherit">Close</Button>
+        <Button onClick={handleCopy} disabled={!patch}>Copy as unified diff</Button>
+        <Button onClick={handleDownload} disabled={!patch} variant="contained">Download .patch</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,11 +1,9 @@
 // FILE: src/components/Patcher.jsx
 
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import CodeMirror from '@uiw/react-codemirror';
-import { javascript } from '@codemirror/lang-javascript';
 import { lineNumbers } from '@codemirror/view';
 import {
-  TextField,
   Button,
   Accordion,
   AccordionSummary,
@@ -24,170 +22,63 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  RadioGroup,
+  Chip,
+  LinearProgress,
+  Tooltip,
+  Select,
+  MenuItem,
   FormControlLabel,
-  Radio
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import InfoIcon from '@mui/icons-material/Info';
-
-/* ------------------ Normalization & Distance Matching ------------------ */
-
-// We ignore leading/trailing whitespace, collapse multiple spaces, remove zero-width chars, and lowercase.
-// We do NOT remove punctuation so code tokens remain intact.
-function normalize(line) {
-  let out = line.replace(/[\u200B-\u200D\uFEFF]/g, '');
-  out = out.trim();
-  out = out.toLowerCase();
-  out = out.replace(/\s+/g, ' ');
-  return out;
-}
-
-// Simple Levenshtein distance (edit distance)
-function levenshtein(a, b) {
-  const m = [];
-  if (!a.length) return b.length;
-  if (!b.length) return a.length;
-
-  // build matrix
-  for (let i = 0; i <= b.length; i++) {
-    m[i] = [i];
-  }
-  for (let j = 0; j <= a.length; j++) {
-    m[0][j] = j;
-  }
-
-  // fill
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        m[i][j] = m[i - 1][j - 1];
-      } else {
-        m[i][j] = Math.min(
-          m[i - 1][j - 1] + 1,
-          m[i][j - 1] + 1,
-          m[i - 1][j] + 1
-        );
-      }
-    }
-  }
-  return m[b.length][a.length];
-}
-
-// Find all exact fuzzy matches by normalized equality
-function findAllFuzzyMatches(lines, targetNorm) {
-  const res = [];
-  lines.forEach((txt, idx) => {
-    if (normalize(txt) === targetNorm) {
-      res.push(idx);
-    }
-  });
-  return res;
-}
-
-/**
- * findLineMatches:
- * 1) find all exact fuzzy matches
- * 2) if none found, find lines that are “close” by Levenshtein distance
- *    - We measure distance on the normalized text
- *    - We also measure length of the strings so we can pick lines with similarity >= threshold
- *    - We store them in ascending distance order
- */
-function findLineMatches(lines, target) {
-  const targetNorm = normalize(target);
-  const exactMatches = findAllFuzzyMatches(lines, targetNorm);
-  if (exactMatches.length > 0) {
-    return { exact: exactMatches, close: [] };
-  }
-
-  // no exact matches => compute distances
-  const distances = lines.map((txt, idx) => {
-    const dist = levenshtein(normalize(txt), targetNorm);
-    return { idx, text: txt, dist };
-  });
-
-  // sort by distance ascending
-  distances.sort((a, b) => a.dist - b.dist);
-
-  // We'll define a threshold. Example:
-  // If distance is less than or equal to half the length of target, we consider it “close enough”
-  // You can tweak as needed
-  const threshold = Math.floor(targetNorm.length / 2) || 1;
-
-  const close = distances.filter(d => d.dist <= threshold);
-  return { exact: [], close };
-}
-
-/* ------------------ Parse Legend Commands ------------------ */
-
-function parseCommands(lines) {
-  const ops = [];
-  let i = 0;
-  while (i < lines.length) {
-    const raw = lines[i].trim();
-    if (raw.startsWith('D-')) {
-      ops.push({ type: 'delete', content: raw.slice(2).trim() });
-      i++;
-    } else if (raw.startsWith('M-')) {
-      const oldLine = raw.slice(2).trim();
-      const newLines = [];
-      i++;
-      while (i < lines.length && lines[i].trim().startsWith('M+-')) {
-        newLines.push(lines[i].trim().slice(3).trim());
-        i++;
-      }
-      ops.push({ type: 'replace', oldLines: [oldLine], newLines });
-    } else if (raw.startsWith('AF+')) {
-      const anchor = raw.slice(3).trim();
-      const newLines = [];
-      i++;
-      while (i < lines.length && lines[i].trim().startsWith('NAD+')) {
-        newLines.push(lines[i].trim().slice(4).trim());
-        i++;
-      }
-      ops.push({ type: 'insert', anchor, newLines });
-    } else {
-      i++;
-    }
-  }
-  return ops;
-}
-
-/* ------------------ Annotated Result (deleted/inserted lines) ------------------ */
-
-function buildAnnotatedResult(original, ops) {
-  const annotated = original.map(txt => ({ text: txt, status: 'unchanged' }));
-
-  function findFirstFuzzyIndex(txt) {
-    const normTxt = normalize(txt);
-    return annotated.findIndex(
-      (item) => normalize(item.text) === normTxt && item.status === 'unchanged'
-    );
-  }
-
-  ops.forEach(op => {
-    if (op.type === 'delete') {
-      const i = findFirstFuzzyIndex(op.content);
-      if (i !== -1) annotated[i].status = 'deleted';
-    }
-    else if (op.type === 'replace') {
-      const i = findFirstFuzzyIndex(op.oldLines[0]);
-      if (i !== -1) {
-        annotated[i].status = 'deleted';
-        const ins = op.newLines.map(n => ({ text: n, status: 'inserted' }));
-        annotated.splice(i + 1, 0, ...ins);
-      }
-    }
-    else if (op.type === 'insert') {
-      const i = findFirstFuzzyIndex(op.anchor);
-      if (i !== -1) {
-        const ins = op.newLines.map(n => ({ text: n, status: 'inserted' }));
-        annotated.splice(i + 1, 0, ...ins);
-      }
-    }
-  });
-
-  return annotated.filter(a => a.status !== 'unchanged');
-}
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
+import DragIndicatorIcon from '@mui/icons-material/DragIndicator';
+import TuneIcon from '@mui/icons-material/Tune';
+import HistoryIcon from '@mui/icons-material/History';
+import ShareIcon from '@mui/icons-material/Share';
+import {
+  parseCommands,
+  summarizeReport,
+  buildAnnotatedResult,
+  composeOrigins,
+  carryOrigins,
+  mergeThreeWay,
+  countConflicts,
+  opTitle,
+  opPreviewLines
+} from '../legend';
+import { applyLegendInWorker } from '../legend/workerClient';
+import { conflictMarkers } from '../editor/conflictMarkers';
+import { legendEditor } from '../editor/legend';
+import { languageExtension } from '../editor/languages';
+import { detectLanguage, fileNameFor, AUTO_LANGUAGE } from '../utils/language';
+import { PARSERS, PARSER_FOR_LANGUAGE, formatCode, checkSyntax } from '../utils/format';
+import LanguageSelect from './LanguageSelect';
+import DiffLines from './DiffLines';
+import DiffPanel from './DiffPanel';
+import PatchExportDialog from './PatchExportDialog';
+import DiffImportDialog from './DiffImportDialog';
+import MatchChoiceDialog, { useMatchChoice } from './MatchChoiceDialog';
+import MatchSettingsDialog, { MATCH_SETTINGS_KEY } from './MatchSettingsDialog';
+import SessionDrawer from './SessionDrawer';
+import ShareSessionDialog from './ShareSessionDialog';
+import SessionNotices from './SessionNotices';
+import { useStoredState } from '../utils/storage';
+import { numberLines } from '../utils/linePatch';
+import { loadDraft, useSession } from '../utils/sessions';
+import { SESSION_KINDS } from '../utils/sessionApi';
+import {
+  createHistory,
+  currentEntry,
+  record,
+  undo,
+  redo,
+  jumpTo,
+  canUndo,
+  canRedo
+} from '../utils/history';
 
 /* ------------------ Theme & Editor Styles ------------------ */
 
@@ -223,49 +114,264 @@ const EditorWrapper = styled(Box)(() => ({
   }
 }));
 
-/* ------------------ Main Component ------------------ */
+/* ------------------ Hunk Status ------------------ */
+
+// Chip shown on a hunk once Apply has run, from its applyLegendInWorker report entry
+function hunkStatusChip(entry) {
+  if (entry.status === 'not-found') return { label: 'Not found', color: 'error' };
+  if (entry.status === 'skipped') return { label: 'Skipped', color: 'default' };
+  if (entry.lineIndices) return { label: `Applied at ${entry.lineIndices.length} matches`, color: 'success' };
+  if (entry.autoAccepted) return { label: `Auto-picked (${entry.confidence}% confidence)`, color: 'info' };
+  if (!entry.exact) {
+    const how = entry.dist !== undefined ? `distance=${entry.dist}` : `${entry.similarity}% similar`;
+    return { label: `Fuzzy (${how})`, color: 'warning' };
+  }
+  return { label: 'Applied', color: 'success' };
+}
+
+/* ------------------ Step History ------------------ */
+
+// Typing into the result within this many ms of the last edit extends that undo step
+const EDIT_MERGE_MS = 1000;
+
+/* ------------------ Formatting ------------------ */
+
+const FORMAT_ON_APPLY_KEY = 'legend.formatOnApply';
+const AUTO_PARSER = 'auto';
+// Wait this long after the last change to the result before parsing it again
+const SYNTAX_CHECK_MS = 400;
+
+/* ------------------ Saved Sessions ------------------ */
+
+// utils/sessions.js scope. The saved state is
+//   { original, script, enabled, order, result: history entry, choices: match prompt answers of the last Apply }
+const SESSION_SCOPE = 'patcher';
+
+// Whether a saved prompt answer still fits the prompt being asked
+function answerFits(answer, request) {
+  return answer.skip || answer.all || request.choices.some(c => c.idx === answer.lineIndex);
+}
+
+// History entry for the unpatched original:
+//   { kind, label, text, patched, lineOrigins, reports: hunk index → apply report entry, at }
+// `patched` is the text as the patcher left it, before any hand edits: `text` minus the edits.
+// Formatted entries also keep `unformatted`, their text before Prettier ran (see formatEntry).
+function originalEntry(text) {
+  return {
+    kind: 'original',
+    label: 'Original',
+    text,
+    patched: text,
+    lineOrigins: text.split('\n').map((_, i) => i),
+    reports: {},
+    at: 0
+  };
+}
+
+// The hand edits in `entry`: { base: the patched text they were made to, edited }, or null
+function handEdits(entry) {
+  return entry.text === entry.patched ? null : { base: entry.patched, edited: entry.text };
+}
+
+// Carries hand edits over onto a freshly patched entry with a three-way merge; blocks that
+// both changed are left between conflict markers in the text
+function mergeEdits(entry, { base, edited }) {
+  const merged = mergeThreeWay(base.split('\n'), edited.split('\n'), entry.text.split('\n'), {
+    ours: 'your edits',
+    theirs: 'new result'
+  });
+  return {
+    ...entry,
+    kind: 'merge',
+    label: merged.conflicts ? `Merge (${merged.conflicts} conflicts)` : 'Merge with your edits',
+    text: merged.lines.join('\n'),
+    lineOrigins: merged.theirsIndex.map(j => (j == null ? null : entry.lineOrigins[j]))
+  };
+}
+
+// Prettier-formats an entry's text. `unformatted` keeps the text from before, for the
+// before/after-format diff toggle; `patched` follows along unless it holds hand edits.
+async function formatEntry(entry, parser) {
+  const text = await formatCode(entry.text, parser);
+  return {
+    ...entry,
+    text,
+    patched: entry.patched === entry.text ? text : entry.patched,
+    unformatted: entry.text,
+    lineOrigins: carryOrigins(entry.text.split('\n'), text.split('\n'), entry.lineOrigins)
+  };
+}
+
+// A history entry as sessions store it: line origins are worked out again on restore, `patched`
+// is left out when it is the text, and the text from before formatting is dropped
+function savedEntry({ lineOrigins, unformatted, patched, ...entry }) {
+  return patched === entry.text ? entry : { ...entry, patched };
+}
+
+// History for restored state: the original, with the saved result on top to undo back from
+function restoredHistory(state) {
+  const original = originalEntry(state.original);
+  const history = createHistory(original);
+  if (state.result.kind === 'original') return history;
+  const { text } = state.result;
+  return record(history, {
+    ...state.result,
+    patched: state.result.patched ?? text,
+    lineOrigins: state.result.lineOrigins
+      || carryOrigins(state.original.split('\n'), text.split('\n'), original.lineOrigins)
+  });
+}
+
+// Every hunk switched on
+function allEnabled(ops) {
+  return ops.reduce((m, _, i) => ((m[i] = true), m), {});
+}
+
+// What the patcher shows for saved `state` (see SESSION_SCOPE), or for an empty start without one:
+//   { original, script, hunks, enabled, order, history, choices, replay }
+// `replay` holds the prompt answers the next Apply gives again: { selected hunks, choices }.
+function restoredView(state) {
+  const original = state ? state.original : '';
+  const script = state ? state.script : '';
+  const hunks = parseCommands(script.split('\n'));
+  const fits = !!state && state.order.length === hunks.length;
+  const enabled = fits ? state.enabled : allEnabled(hunks);
+  const order = fits ? state.order : hunks.map((_, i) => i);
+  const choices = (state && state.choices) || [];
+  return {
+    original,
+    script,
+    hunks,
+    enabled,
+    order,
+    history: state ? restoredHistory(state) : createHistory(originalEntry(original)),
+    choices,
+    replay: state ? { selected: order.filter(i => enabled[i]), choices } : null
+  };
+}
 
-export default function Patcher() {
-  const [origText, setOrigText] = useState('');
-  const [scriptText, setScriptText] = useState('');
+// Moves list[from] to position `to`
+function moveItem(list, from, to) {
+  const next = [...list];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
 
-  const [hunks, setHunks] = useState([]);
-  const [enabled, setEnabled] = useState({});
+/* ------------------ Main Component ------------------ */
 
-  const [resultText, setResultText] = useState('');
-  const [annotated, setAnnotated] = useState([]);
-  const [stats, setStats] = useState(null);
+export default function Patcher({ session: sharedSession }) {
+  // A session opened from a /session/:id link, else the last visit's autosave
+  const [start] = useState(() => restoredView(sharedSession || loadDraft(SESSION_SCOPE)));
+
+  const [origText, setOrigText] = useState(start.original);
+  const [scriptText, setScriptText] = useState(start.script);
+  // The original and script that hunks, selection and history below belong to
+  const [shown, setShown] = useState({ original: start.original, script: start.script });
+  const [language, setLanguage] = useState(AUTO_LANGUAGE); // or a LANGUAGES id
+
+  const [hunks, setHunks] = useState(start.hunks);
+  const [enabled, setEnabled] = useState(start.enabled);
+  const [order, setOrder] = useState(start.order); // hunk indices in the order they apply
+  const [dragFrom, setDragFrom] = useState(null);   // position in `order` being dragged
+
+  // Every state of the result so far (see originalEntry); undo/redo move through it
+  const [history, setHistory] = useState(start.history);
+  // Hand edits from before the last original/script change, merged in on the next Apply
+  const [pendingEdits, setPendingEdits] = useState(null);
+  const [choices, setChoices] = useState(start.choices); // match prompt answers of the last Apply
+  // Prompt answers a restored session's next Apply gives again (see restoredView)
+  const [replay, setReplay] = useState(start.replay);
+  const [progress, setProgress] = useState(null);     // { done, total } while an apply runs
   const [error, setError] = useState(null);
 
   const [onlyChanges, setOnlyChanges] = useState(false);
   const [infoOpen, setInfoOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [matchSettings, setMatchSettings] = useStoredState(MATCH_SETTINGS_KEY, {});
+  const [formatOnApply, setFormatOnApply] = useStoredState(FORMAT_ON_APPLY_KEY, false);
+  const [parserChoice, setParserChoice] = useState(AUTO_PARSER); // or a PARSERS key
+  const [syntax, setSyntax] = useState(null);         // null, or checkSyntax's result for the shown text
+  const [diffSide, setDiffSide] = useState('after');  // diff against the result 'before' or 'after' formatting
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
 
   // For multi-match & close-match dialogs
-  const [pendingOp, setPendingOp] = useState(null);       // The operation object
-  const [possibleChoices, setPossibleChoices] = useState([]); // { idx, text, dist?, exact: boolean? }
-  const [userChoice, setUserChoice] = useState('');
-  const [resolveChoice, setResolveChoice] = useState(null);   // promise resolver
+  const { pending: pendingChoice, resolveAmbiguity, answer: answerChoice } = useMatchChoice();
+
+  // A new script re-reads its hunks, and a new original or script starts the history over,
+  // keeping any hand edits for the next Apply. Adjusted while rendering rather than in an effect,
+  // so what the first render restored is never reset.
+  if (shown.original !== origText || shown.script !== scriptText) {
+    setShown({ original: origText, script: scriptText });
+    if (shown.script !== scriptText) {
+      const ops = parseCommands(scriptText.split('\n'));
+      setHunks(ops);
+      setEnabled(allEnabled(ops));
+      setOrder(ops.map((_, i) => i));
+      setError(null);
+    }
+    const edits = handEdits(currentEntry(history));
+    if (edits) setPendingEdits(edits);
+    setReplay(null);
+    setChoices([]);
+    setHistory(createHistory(originalEntry(origText)));
+  }
 
+  const current = currentEntry(history);
+  const sessionState = useMemo(
+    () => ({ original: origText, script: scriptText, enabled, order, result: savedEntry(current), choices }),
+    [origText, scriptText, enabled, order, current, choices]
+  );
+  const session = useSession(SESSION_SCOPE, sessionState, { shared: !!sharedSession });
+  const resultText = current.text;
+  const hunkReports = current.reports;
+  const stats = current.kind === 'original' ? null : summarizeReport(Object.values(current.reports));
+  const nextHunk = order.find(i => enabled[i] && !hunkReports[i]);
+  const canReorder = Object.keys(hunkReports).length === 0 && !progress;
+  const conflictCount = useMemo(() => countConflicts(resultText), [resultText]);
+  const detectedLanguage = useMemo(() => detectLanguage(origText), [origText]);
+  const codeLanguage = language === AUTO_LANGUAGE ? detectedLanguage : language;
+  const codeExtensions = useMemo(() => [lineNumbers(), languageExtension(codeLanguage)], [codeLanguage]);
+  const resultExtensions = useMemo(() => [...codeExtensions, conflictMarkers], [codeExtensions]);
+  const scriptExtensions = useMemo(
+    () => legendEditor({ original: origText, settings: matchSettings }),
+    [origText, matchSettings]
+  );
+  const autoParser = PARSER_FOR_LANGUAGE[codeLanguage] || null;
+  const parser = parserChoice === AUTO_PARSER ? autoParser : parserChoice;
+  const diffText = diffSide === 'before' && current.unformatted !== undefined ? current.unformatted : resultText;
+
+  // Parse the result once typing pauses, to point at syntax errors by line
   useEffect(() => {
-    const ops = parseCommands(scriptText.split('\n'));
-    setHunks(ops);
-    setEnabled(ops.reduce((m, _, i) => ((m[i] = true), m), {}));
-    setResultText('');
-    setAnnotated([]);
-    setStats(null);
-    setError(null);
-  }, [scriptText]);
+    setSyntax(null);
+    if (!parser || !resultText.trim()) return;
+    let stale = false;
+    const timer = setTimeout(() => {
+      checkSyntax(resultText, parser)
+        .then(found => { if (!stale) setSyntax({ parser, error: found }); })
+        .catch(() => {});
+    }, SYNTAX_CHECK_MS);
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [resultText, parser]);
+
+  const annotated = useMemo(
+    () => buildAnnotatedResult(origText.split('\n'), current.text.split('\n'), current.lineOrigins),
+    [origText, current]
+  );
+  const changedRows = useMemo(
+    () => annotated.filter(a => a.status !== 'unchanged'),
+    [annotated]
+  );
 
   const toggleHunk = idx => setEnabled(prev => ({ ...prev, [idx]: !prev[idx] }));
 
-  // Compute line-numbered version of the original code
-  const lineNumberedCode = useMemo(() => {
-    if (!origText.trim()) return '';
-    return origText
-      .split('\n')
-      .map((l, i) => `${i + 1}${l.trim().toLowerCase()}`)
-      .join('\n');
-  }, [origText]);
+  // Compute line-numbered version of the original code ("12| code", as the Line-Based Patcher reads it)
+  const lineNumberedCode = useMemo(() => (origText.trim() ? numberLines(origText) : ''), [origText]);
 
   // Copy final patched code to clipboard
   const handleCopyResult = () => {
@@ -279,133 +385,146 @@ export default function Patcher() {
     navigator.clipboard.writeText(lineNumberedCode);
   };
 
-  // Main "Apply" function
-  const handleApply = async () => {
+  // Runs the hunks `hunkIdx` on `text`; returns the result as a history entry on top of `base`.
+  // Match prompt answers are pushed onto `answers`; fitting ones from `replay` are given instead
+  // of asking again.
+  const runOps = async (base, text, hunkIdx, label, { replay = [], answers = [] } = {}) => {
+    const queue = [...replay];
+    const ask = async request => {
+      const saved = queue.shift();
+      const answer = saved && answerFits(saved, request) ? saved : await resolveAmbiguity(request);
+      answers.push(answer);
+      return answer;
+    };
+    setProgress({ done: 0, total: hunkIdx.length });
+    const run = await applyLegendInWorker(text, hunkIdx.map(i => hunks[i]), {
+      resolveAmbiguity: ask,
+      onProgress: setProgress,
+      settings: matchSettings
+    });
+    return {
+      kind: 'hunks',
+      label,
+      text: run.text,
+      patched: run.text,
+      lineOrigins: composeOrigins(base.lineOrigins, run.lineOrigins),
+      reports: { ...base.reports, ...Object.fromEntries(hunkIdx.map((h, i) => [h, run.report[i]])) },
+      at: Date.now()
+    };
+  };
+
+  // Formats a freshly applied entry when "Format after Apply" is on. Code that does not parse
+  // is left as it is; the syntax check under the result says where it breaks.
+  const maybeFormat = async entry => {
+    if (!formatOnApply || !parser) return entry;
+    try {
+      return await formatEntry(entry, parser);
+    } catch {
+      return entry;
+    }
+  };
+
+  const withProgress = async action => {
     setError(null);
     try {
-      const originalLines = origText.split('\n');
-      const selectedOps = hunks.filter((_, i) => enabled[i]);
-      const patched = [...originalLines]; // we mutate in place
-
-      for (let op of selectedOps) {
-        if (op.type === 'delete') {
-          await applyDelete(patched, op);
-        } else if (op.type === 'replace') {
-          await applyReplace(patched, op);
-        } else if (op.type === 'insert') {
-          await applyInsert(patched, op);
-        }
-      }
-
-      setResultText(patched.join('\n'));
-      setAnnotated(buildAnnotatedResult(originalLines, selectedOps));
-      setStats({
-        deletes: selectedOps.filter(o => o.type === 'delete').length,
-        replaces: selectedOps.filter(o => o.type === 'replace').length,
-        inserts: selectedOps
-          .filter(o => o.type === 'insert')
-          .reduce((sum, o) => sum + o.newLines.length, 0)
-      });
+      await action();
     } catch (err) {
       setError('Failed to apply patch: ' + err.message);
+    } finally {
+      setProgress(null);
     }
   };
 
-  // --------------- Patch Functions with multi-match / distance fallback ---------------
-
-  async function applyDelete(lines, op) {
-    const { lineIndex, skip } = await findLineIndexWithConfirmation(lines, op.content, op);
-    if (skip || lineIndex == null) return;
-    lines.splice(lineIndex, 1);
-  }
-
-  async function applyReplace(lines, op) {
-    const oldLine = op.oldLines[0];
-    const { lineIndex, skip } = await findLineIndexWithConfirmation(lines, oldLine, op);
-    if (skip || lineIndex == null) return;
-    lines.splice(lineIndex, 1, ...op.newLines);
-  }
+  // Main "Apply" function: every enabled hunk, in order, on the original.
+  // Hand edits to the previous result (or to the one before the last script/original change)
+  // are three-way merged into the new result instead of being thrown away.
+  // The first Apply after restoring a session gives its saved prompt answers again.
+  const handleApply = () => withProgress(async () => {
+    const selectedIdx = order.filter(i => enabled[i]);
+    const base = originalEntry(origText);
+    const replayed = replay && replay.selected.join() === selectedIdx.join() ? replay.choices : [];
+    const answers = [];
+    setReplay(null);
+    const label = `Apply all (${selectedIdx.length} hunks)`;
+    const entry = await runOps(base, origText, selectedIdx, label, { replay: replayed, answers });
+    const edits = handEdits(current) || pendingEdits;
+    setPendingEdits(null);
+    const formatted = await maybeFormat(edits ? mergeEdits(entry, edits) : entry);
+    setHistory(h => record(h, formatted));
+    setChoices(answers);
+    const runStats = summarizeReport(Object.values(formatted.reports));
+    session.recordRun({
+      label: formatted.label,
+      detail: `−${runStats.deletes} ~${runStats.replaces} +${runStats.inserts}`
+        + (runStats.notFound ? `, ${runStats.notFound} not found` : ''),
+      text: formatted.text,
+      state: { ...sessionState, result: savedEntry(formatted), choices: answers }
+    });
+  });
 
-  async function applyInsert(lines, op) {
-    const { lineIndex, skip } = await findLineIndexWithConfirmation(lines, op.anchor, op);
-    if (skip || lineIndex == null) return;
-    lines.splice(lineIndex + 1, 0, ...op.newLines);
-  }
+  // Step mode: the next enabled hunk, on top of the result shown now
+  const handleStep = () => withProgress(async () => {
+    if (nextHunk === undefined) return;
+    const label = `${opTitle(hunks[nextHunk])} Hunk ${nextHunk + 1}`;
+    const entry = await maybeFormat(await runOps(current, current.text, [nextHunk], label));
+    setHistory(h => record(h, entry));
+  });
 
-  /**
-   * findLineIndexWithConfirmation:
-   *  1) find all exact fuzzy matches
-   *  2) if multiple => ask user which one
-   *  3) if none => find close matches (distance-based)
-   *  4) ask user which close match is correct
-   */
-  function findLineIndexWithConfirmation(lines, target, op) {
-    return new Promise(resolve => {
-      const { exact, close } = findLineMatches(lines, target);
-
-      if (exact.length === 0 && close.length === 0) {
-        // No possible lines => skip
-        resolve({ lineIndex: null, skip: false });
-        return;
-      }
-
-      if (exact.length === 1) {
-        // Exactly one direct match => done
-        resolve({ lineIndex: exact[0], skip: false });
-        return;
-      }
-
-      if (exact.length > 1) {
-        // multiple exact => ask user
-        showChoiceDialog(op, lines, exact.map(idx => ({
-          idx,
-          text: lines[idx],
-          exact: true
-        })), resolve);
-        return;
-      }
-
-      // If we get here, no exact matches but we have close matches
-      // We'll show them in ascending distance
-      showChoiceDialog(op, lines, close.map(c => ({
-        idx: c.idx,
-        text: c.text,
-        dist: c.dist,
-        exact: false
-      })), resolve);
-    });
-  }
+  // "Format now": formats the result as shown, as its own undo step
+  const handleFormat = async () => {
+    setError(null);
+    try {
+      const entry = await formatEntry(current, parser);
+      if (entry.text === current.text) return;
+      const label = `Format (${PARSERS[parser].label})`;
+      setHistory(h => record(h, { ...entry, kind: 'format', label, at: Date.now() }));
+    } catch (err) {
+      setError('Could not format: ' + err.message.split('\n')[0]);
+    }
+  };
 
-  /**
-   * showChoiceDialog: opens the “multiple lines matched or close matches” dialog
-   *   The user picks which line to patch, or skip altogether
-   */
-  function showChoiceDialog(op, lines, choices, resolver) {
-    setPendingOp(op);
-    setPossibleChoices(choices);
-    setUserChoice(String(choices[0].idx)); // default to first
-    setResolveChoice(() => resolver);
-  }
+  // Hand edits to the result are undo steps too; bursts of typing fold into one
+  const handleResultEdit = text => {
+    if (text === current.text) return;
+    const at = Date.now();
+    const merge = current.kind === 'edit' && at - current.at < EDIT_MERGE_MS;
+    const entry = {
+      kind: 'edit',
+      label: 'Manual edit',
+      text,
+      patched: current.patched,
+      lineOrigins: carryOrigins(current.text.split('\n'), text.split('\n'), current.lineOrigins),
+      reports: current.reports,
+      at
+    };
+    setHistory(h => record(h, entry, { merge }));
+  };
 
-  function handleChoiceDialogConfirm() {
-    if (!resolveChoice) return;
-    const idx = parseInt(userChoice, 10);
-    resolveChoice({ lineIndex: idx, skip: false });
-    clearChoiceDialog();
-  }
+  // Saves what is on screen now under `name`
+  const handleSaveSnapshot = name => {
+    session.saveSnapshot({ name, label: current.label, text: current.text, state: sessionState });
+  };
 
-  function handleChoiceDialogSkip() {
-    if (!resolveChoice) return;
-    resolveChoice({ lineIndex: null, skip: true });
-    clearChoiceDialog();
-  }
+  // Puts a saved run or snapshot back
+  const handleRestore = item => {
+    const view = restoredView(item.state);
+    setOrigText(view.original);
+    setScriptText(view.script);
+    setShown({ original: view.original, script: view.script });
+    setHunks(view.hunks);
+    setEnabled(view.enabled);
+    setOrder(view.order);
+    setHistory(view.history);
+    setPendingEdits(null);
+    setChoices(view.choices);
+    setReplay(view.replay);
+    setError(null);
+  };
 
-  function clearChoiceDialog() {
-    setPendingOp(null);
-    setPossibleChoices([]);
-    setUserChoice('');
-    setResolveChoice(null);
-  }
+  const handleDrop = to => {
+    if (dragFrom !== null && dragFrom !== to) setOrder(prev => moveItem(prev, dragFrom, to));
+    setDragFrom(null);
+  };
 
   return (
     <ThemeProvider theme={gitTheme}>
@@ -413,22 +532,30 @@ export default function Patcher() {
       <Box sx={{ display:'flex', width:'100vw', height:'100vh', bgcolor:'background.default' }}>
         {/* Left Column */}
         <Box sx={{ width:'30%', minWidth:320, borderRight:'1px solid #30363d', p:2, overflowY:'auto' }}>
-          <Typography variant="h6" gutterBottom>Original Code</Typography>
+          <Box sx={{ display:'flex', alignItems:'center', mb:1 }}>
+            <Typography variant="h6" sx={{ flex:1 }}>Original Code</Typography>
+            <LanguageSelect value={language} detected={detectedLanguage} onChange={setLanguage} />
+          </Box>
           <EditorWrapper>
             <CodeMirror
               value={origText}
-              extensions={[lineNumbers(), javascript({ jsx:true })]}
+              extensions={codeExtensions}
               onChange={val => setOrigText(val)}
             />
           </EditorWrapper>
 
-          <Typography variant="h6" sx={{ mt:3 }} gutterBottom>Legend Script</Typography>
-          <TextField
-            multiline fullWidth rows={8}
-            value={scriptText}
-            onChange={e => setScriptText(e.target.value)}
-            placeholder="D- line...   M- old / M+- new...   AF+ anchor / NAD+ new lines"
-          />
+          <Box sx={{ display:'flex', alignItems:'center', mt:3, mb:1 }}>
+            <Typography variant="h6" sx={{ flex:1 }}>Legend Script</Typography>
+            <Button size="small" onClick={()=>setImportOpen(true)}>Import diff</Button>
+          </Box>
+          <EditorWrapper>
+            <CodeMirror
+              value={scriptText}
+              extensions={scriptExtensions}
+              onChange={val => setScriptText(val)}
+              placeholder="D- line...   M- old / M+- new...   AF+ anchor / NAD+ new lines"
+            />
+          </EditorWrapper>
 
           {/* Line Numbered Original Code */}
           <Card
@@ -443,7 +570,7 @@ export default function Patcher() {
                 <CodeMirror
                   value={lineNumberedCode}
                   readOnly
-                  extensions={[lineNumbers(), javascript({ jsx:true })]}
+                  extensions={codeExtensions}
                 />
               </EditorWrapper>
               <Box sx={{ display:'flex', justifyContent:'flex-end', mt:2 }}>
@@ -467,10 +594,20 @@ export default function Patcher() {
               sx={{ mr:1 }}
             />
             <Typography>Show only changes</Typography>
-            <IconButton color="primary" onClick={()=>setInfoOpen(true)} sx={{ ml:2 }}>
+            <IconButton color="primary" onClick={()=>setSettingsOpen(true)} sx={{ ml:2 }} title="Matching settings">
+              <TuneIcon/>
+            </IconButton>
+            <IconButton color="primary" onClick={()=>setSessionsOpen(true)} title="Runs & snapshots">
+              <HistoryIcon/>
+            </IconButton>
+            <IconButton color="primary" onClick={()=>setShareOpen(true)} title="Share session">
+              <ShareIcon/>
+            </IconButton>
+            <IconButton color="primary" onClick={()=>setInfoOpen(true)}>
               <InfoIcon/>
             </IconButton>
           </Box>
+          <SessionNotices session={session} />
 
           {onlyChanges ? (
             <Card
@@ -481,19 +618,9 @@ export default function Patcher() {
                 <Typography variant="h6">Changes Only</Typography>
               </Box>
               <Box sx={{ p:2 }}>
-                {annotated.length === 0
+                {changedRows.length === 0
                   ? <Typography>(No changes yet. Click Apply to see changes.)</Typography>
-                  : <Stack spacing={0.5}>
-                      {annotated.map((a,i)=>(
-                        <Typography key={i} sx={{
-                          fontFamily:'inherit',
-                          color:a.status==='deleted'?'error.main':'success.main',
-                          whiteSpace:'pre-wrap'
-                        }}>
-                          {(a.status==='deleted'?'- ':'+ ')+a.text}
-                        </Typography>
-                      ))}
-                    </Stack>
+                  : <DiffLines rows={changedRows} />
                 }
               </Box>
             </Card>
@@ -504,32 +631,45 @@ export default function Patcher() {
             >
               {hunks.length === 0
                 ? <Box sx={{ p:2 }}><Typography>No operations to preview.</Typography></Box>
-                : hunks.map((op, idx) => {
-                    const lines = [];
-                    if (op.type==='delete') lines.push('- '+op.content);
-                    if (op.type==='replace') {
-                      lines.push('- '+op.oldLines[0]);
-                      op.newLines.forEach(nl=>lines.push('+ '+nl));
-                    }
-                    if (op.type==='insert') {
-                      op.newLines.forEach(nl=>lines.push('+ '+nl));
-                    }
+                : order.map((idx, pos) => {
+                    const op = hunks[idx];
+                    const lines = opPreviewLines(op);
                     return (
-                      <Accordion key={idx} defaultExpanded>
-                        <AccordionSummary>
+                      <Accordion
+                        key={idx}
+                        defaultExpanded
+                        sx={hunkReports[idx]?.status === 'not-found'
+                          ? { border:'1px solid', borderColor:'error.main', bgcolor:'rgba(248,81,73,0.08)' }
+                          : idx === nextHunk && Object.keys(hunkReports).length > 0
+                            ? { border:'1px solid', borderColor:'primary.main' }
+                            : undefined}
+                        onDragOver={e => { if (canReorder) e.preventDefault(); }}
+                        onDrop={() => handleDrop(pos)}
+                      >
+                        <AccordionSummary
+                          sx={{ '& .MuiAccordionSummary-content': { alignItems:'center' } }}
+                          draggable={canReorder}
+                          onDragStart={() => setDragFrom(pos)}
+                        >
+                          {canReorder && (
+                            <DragIndicatorIcon fontSize="small" sx={{ color:'text.secondary', cursor:'grab' }} />
+                          )}
                           <Checkbox
                             checked={!!enabled[idx]}
                             onChange={()=>toggleHunk(idx)}
                             sx={{ mr:1 }}
                           />
-                          <Typography>{op.type.toUpperCase()} Hunk {idx+1}</Typography>
+                          <Typography sx={{ flex:1 }}>{opTitle(op)} Hunk {idx+1}</Typography>
+                          {hunkReports[idx] && (
+                            <Chip size="small" variant="outlined" {...hunkStatusChip(hunkReports[idx])} />
+                          )}
                         </AccordionSummary>
                         <AccordionDetails sx={{ bgcolor:'#161B22', borderTop:'1px solid #30363d' }}>
                           <Stack spacing={1}>
                             {lines.map((l,i)=>(
                               <Typography key={i} sx={{
                                 fontFamily:'inherit',
-                                color:l.startsWith('-')?'error.main':'success.main',
+                                color:l.startsWith('-')?'error.main':l.startsWith('+')?'success.main':'text.secondary',
                                 whiteSpace:'pre-wrap'
                               }}>
                                 {l}
@@ -541,9 +681,57 @@ export default function Patcher() {
                     );
                   })
               }
-              <Box sx={{ display:'flex', justifyContent:'flex-end', p:2 }}>
-                <Button variant="contained" onClick={handleApply}>Apply</Button>
+              {progress && (
+                <Box sx={{ px:2, pt:2 }}>
+                  <LinearProgress
+                    variant="determinate"
+                    value={progress.total ? (progress.done / progress.total) * 100 : 0}
+                  />
+                  <Typography variant="body2" sx={{ mt:0.5 }}>
+                    Applying hunk {Math.min(progress.done + 1, progress.total)} of {progress.total}…
+                  </Typography>
+                </Box>
+              )}
+              <Box sx={{ display:'flex', alignItems:'center', gap:1, p:2 }}>
+                <Tooltip title="Undo">
+                  <span>
+                    <IconButton onClick={()=>setHistory(undo)} disabled={!canUndo(history) || !!progress}>
+                      <UndoIcon/>
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Tooltip title="Redo">
+                  <span>
+                    <IconButton onClick={()=>setHistory(redo)} disabled={!canRedo(history) || !!progress}>
+                      <RedoIcon/>
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Typography variant="body2" sx={{ flex:1, color:'text.secondary' }}>
+                  {nextHunk === undefined
+                    ? 'All enabled hunks applied.'
+                    : `Next: ${opTitle(hunks[nextHunk])} Hunk ${nextHunk + 1}`}
+                </Typography>
+                <Button variant="outlined" onClick={handleStep} disabled={!!progress || nextHunk === undefined}>
+                  Step
+                </Button>
+                <Button variant="contained" onClick={handleApply} disabled={!!progress}>Apply</Button>
               </Box>
+              {history.entries.length > 1 && (
+                <Box sx={{ display:'flex', flexWrap:'wrap', gap:1, px:2, pb:2 }}>
+                  {history.entries.map((entry, i) => (
+                    <Chip
+                      key={i}
+                      size="small"
+                      label={entry.label}
+                      color={i === history.index ? 'primary' : 'default'}
+                      variant={i <= history.index ? 'filled' : 'outlined'}
+                      onClick={() => setHistory(h => jumpTo(h, i))}
+                      disabled={!!progress}
+                    />
+                  ))}
+                </Box>
+              )}
             </Card>
           )}
 
@@ -559,8 +747,9 @@ export default function Patcher() {
               <EditorWrapper>
                 <CodeMirror
                   value={resultText}
-                  readOnly
-                  extensions={[lineNumbers(), javascript({ jsx:true })]}
+                  readOnly={!!progress}
+                  extensions={resultExtensions}
+                  onChange={handleResultEdit}
                 />
               </EditorWrapper>
               {stats && (
@@ -568,6 +757,11 @@ export default function Patcher() {
                   <Typography>Deleted: {stats.deletes}</Typography>
                   <Typography>Replaced: {stats.replaces}</Typography>
                   <Typography>Inserted: {stats.inserts}</Typography>
+                  {stats.fuzzy > 0 && <Typography>Fuzzy matches: {stats.fuzzy}</Typography>}
+                  {stats.skipped > 0 && <Typography>Skipped: {stats.skipped}</Typography>}
+                  {stats.notFound > 0 && (
+                    <Typography color="error">Not found: {stats.notFound}</Typography>
+                  )}
                 </Box>
               )}
               {error && (
@@ -575,7 +769,53 @@ export default function Patcher() {
                   {error}
                 </Typography>
               )}
-              <Box sx={{ display:'flex', justifyContent:'flex-end', mt:2 }}>
+              {conflictCount > 0 && (
+                <Typography color="warning.main" sx={{ mt:1 }}>
+                  {conflictCount} conflict{conflictCount > 1 ? 's' : ''} between your edits and the new result:
+                  edit the marked blocks, keeping the lines you want and removing the markers.
+                </Typography>
+              )}
+              {syntax && syntax.parser === parser && (
+                syntax.error
+                  ? <Typography color="error" sx={{ mt:1 }}>
+                      Syntax error at line {syntax.error.line}, column {syntax.error.column}: {syntax.error.message}
+                    </Typography>
+                  : <Typography variant="body2" sx={{ mt:1, color:'success.main' }}>
+                      Parses as {PARSERS[parser].label}.
+                    </Typography>
+              )}
+              {pendingEdits && (
+                <Typography variant="body2" sx={{ mt:1, color:'text.secondary' }}>
+                  Your edits to the previous result will be merged into the next Apply.
+                </Typography>
+              )}
+              <Box sx={{ display:'flex', alignItems:'center', gap:1, mt:2 }}>
+                <Select
+                  size="small"
+                  value={parserChoice}
+                  onChange={e => setParserChoice(e.target.value)}
+                  sx={{ minWidth:200 }}
+                >
+                  <MenuItem value={AUTO_PARSER}>
+                    Auto ({autoParser ? PARSERS[autoParser].label : 'no formatter'})
+                  </MenuItem>
+                  {Object.entries(PARSERS).map(([id, { label }]) => (
+                    <MenuItem key={id} value={id}>{label}</MenuItem>
+                  ))}
+                </Select>
+                <FormControlLabel
+                  control={<Checkbox checked={formatOnApply} onChange={e => setFormatOnApply(e.target.checked)} />}
+                  label="Format after Apply"
+                  disabled={!parser}
+                />
+                <Button onClick={handleFormat} disabled={!parser || !resultText.trim() || !!progress}>
+                  Format now
+                </Button>
+              </Box>
+              <Box sx={{ display:'flex', justifyContent:'flex-end', gap:1, mt:2 }}>
+                <Button variant="outlined" onClick={()=>setExportOpen(true)} disabled={!stats}>
+                  Export .patch
+                </Button>
                 <Button variant="contained" onClick={handleCopyResult}>
                   Copy
                 </Button>
@@ -583,36 +823,69 @@ export default function Patcher() {
             </Box>
           </Card>
 
-          {/* Annotated Diff */}
-          {annotated.length>0 && (
+          {/* Diff */}
+          {stats && (
             <Card
               variant="outlined"
               sx={{ bgcolor:'background.paper', border:'1px solid #30363d' }}
             >
-              <Box sx={{ p:1, borderBottom:'1px solid #30363d' }}>
-                <Typography variant="h6">Annotated Diff</Typography>
+              <Box sx={{ display:'flex', alignItems:'center', p:1, borderBottom:'1px solid #30363d' }}>
+                <Typography variant="h6" sx={{ flex:1 }}>Diff</Typography>
+                {current.unformatted !== undefined && (
+                  <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={diffSide}
+                    onChange={(e, side) => side && setDiffSide(side)}
+                  >
+                    <ToggleButton value="before">Before format</ToggleButton>
+                    <ToggleButton value="after">After format</ToggleButton>
+                  </ToggleButtonGroup>
+                )}
               </Box>
               <Box sx={{ p:2 }}>
-                <Stack spacing={0.5}>
-                  {annotated.map((a,i)=>(
-                    <Typography
-                      key={i}
-                      sx={{
-                        fontFamily:'inherit',
-                        color:a.status==='deleted'?'error.main':'success.main',
-                        whiteSpace:'pre-wrap'
-                      }}
-                    >
-                      {(a.status==='deleted'?'- ':'+ ')+a.text}
-                    </Typography>
-                  ))}
-                </Stack>
+                <DiffPanel oldText={origText} newText={diffText} language={codeLanguage} />
               </Box>
             </Card>
           )}
         </Box>
       </Box>
 
+      <PatchExportDialog
+        open={exportOpen}
+        onClose={()=>setExportOpen(false)}
+        oldText={origText}
+        newText={resultText}
+        fileName={fileNameFor(codeLanguage)}
+      />
+
+      <SessionDrawer
+        open={sessionsOpen}
+        onClose={()=>setSessionsOpen(false)}
+        runs={session.runs}
+        snapshots={session.snapshots}
+        currentText={resultText}
+        language={codeLanguage}
+        onRestore={handleRestore}
+        onSaveSnapshot={handleSaveSnapshot}
+        onDeleteSnapshot={session.deleteSnapshot}
+        onClearRuns={session.clearRuns}
+      />
+
+      <ShareSessionDialog
+        open={shareOpen}
+        onClose={()=>setShareOpen(false)}
+        kind={SESSION_KINDS.patcher}
+        state={sessionState}
+      />
+
+      <DiffImportDialog
+        open={importOpen}
+        onClose={()=>setImportOpen(false)}
+        onImport={setScriptText}
+        singleFile
+      />
+
       {/* Info Dialog */}
       <Dialog open={infoOpen} onClose={()=>setInfoOpen(false)} maxWidth="sm" fullWidth>
         <DialogTitle>Legend Script Info</DialogTitle>
@@ -620,11 +893,58 @@ export default function Patcher() {
           <Typography>
             D- &lt;line&gt; → delete<br />
             M- &lt;oldLine&gt; / M+- &lt;newLine&gt; → replace<br />
-            AF+ &lt;anchor&gt; / NAD+ &lt;newLine&gt; → insert<br />
+            AF+ &lt;anchor&gt; / NAD+ &lt;newLine&gt; → insert after<br />
+            BF+ &lt;anchor&gt; / NAD+ &lt;newLine&gt; → insert before<br />
+            TOP+ / NAD+ &lt;newLine&gt; → prepend to top of file<br />
+            END+ / NAD+ &lt;newLine&gt; → append to end of file<br />
+            DF- &lt;fromLine&gt; / DT- &lt;toLine&gt; → delete from → through to (inclusive)<br />
             <br />
-            This patcher ignores case, indentation, whitespace, and zero-width chars.
+            Consecutive D-, M-, AF+, BF+, DF- or DT- lines form one block that must match as a contiguous
+            run of lines. Leave a blank line between them to make separate operations.<br />
+            A DF- / DT- range ends at the first DT- match after the start, preferring one
+            indented like the start line (so `DT- }` stops at the function’s own brace).<br />
+            <br />
+            By default this patcher ignores case, indentation, whitespace, and zero-width chars.
             It can also guess “close” lines if it finds no exact match. If multiple lines
-            match or are close, you’ll be prompted to pick the correct line.
+            match or are close, you’ll be prompted to pick the correct line; candidates are
+            ranked by where the previous operation landed, the neighbouring script lines found
+            around them and the function they sit in, and the best one is pre-selected.
+            The prompt shows the code around each candidate and a preview of the result, and
+            lets you apply the operation at every match or skip all remaining ambiguous ones.
+            Case, whitespace, the similarity measure and threshold, and strict (exact-only)
+            matching can be changed under Matching Settings, where “auto-accept above N%
+            confidence” skips the prompt when the best candidate is clear enough.<br />
+            <br />
+            In the script editor, a dot next to each operation shows whether its target is found
+            in the original (green: once, amber: several times, red: no exact match); lines the
+            parser would skip are underlined, and typing after D-, M- or AF+ suggests lines
+            from the original.<br />
+            <br />
+            Apply runs every enabled hunk on the original; Step applies just the next one on top
+            of the current result. Undo/Redo (or the history chips) move through applied hunks
+            and hand edits to the result. Drag hunks by their handle to reorder them before
+            stepping.<br />
+            <br />
+            The result is editable. Re-applying after changing the original or the script
+            merges your edits into the new result (three-way, against the result you edited);
+            where both changed the same lines, the block is marked with
+            &lt;&lt;&lt;&lt;&lt;&lt;&lt; / ======= / &gt;&gt;&gt;&gt;&gt;&gt;&gt; for you to resolve.<br />
+            <br />
+            “Format after Apply” runs Prettier on each new result, with the parser picked next
+            to it (Auto follows the code language). The Diff can then show the result before
+            or after formatting, so formatting changes stay out of the way when reviewing the
+            patch. The result is also parsed as you edit it, and syntax errors are reported
+            with their line and column.<br />
+            <br />
+            Your original, script, hunk selection and result are saved in this browser as you
+            work and come back after a reload. The history button lists past Apply runs and
+            lets you save named snapshots; either can be restored or compared with the current
+            result. The share button saves the session to the server and gives you a link that
+            opens it, including the answers you gave to match prompts, which the next Apply
+            reuses.<br />
+            <br />
+            New lines keep any indentation written after M+- / NAD+. Lines written
+            without indentation are indented to match the line they replace or follow.
           </Typography>
         </DialogContent>
         <DialogActions>
@@ -633,61 +953,14 @@ export default function Patcher() {
       </Dialog>
 
       {/* Multi-Match or Close-Match Dialog */}
-      <Dialog open={!!pendingOp} maxWidth="md" fullWidth>
-        {pendingOp && (
-          <>
-            <DialogTitle>
-              {pendingOp.type.toUpperCase()} operation
-            </DialogTitle>
-            <DialogContent dividers>
-              <Typography variant="body2" sx={{ mb: 2 }}>
-                Multiple lines found or close matches for:
-              </Typography>
-              <Typography variant="body2" sx={{ fontWeight:'bold', mb:2 }}>
-                {pendingOp.type === 'delete'
-                  ? pendingOp.content
-                  : pendingOp.type === 'replace'
-                  ? pendingOp.oldLines[0]
-                  : pendingOp.anchor
-                }
-              </Typography>
-              <Typography variant="body2" sx={{ mb:1 }}>
-                Pick the line you want to patch or skip entirely:
-              </Typography>
-
-              <RadioGroup
-                value={userChoice}
-                onChange={e => setUserChoice(e.target.value)}
-              >
-                {possibleChoices.map(({ idx, text, dist, exact }) => {
-                  const lineLabel = `Line ${idx+1}: ${text}`;
-                  return (
-                    <FormControlLabel
-                      key={idx}
-                      value={String(idx)}
-                      control={<Radio />}
-                      label={exact
-                        ? lineLabel + ' (exact match)'
-                        : dist!==undefined
-                          ? lineLabel + ` (distance=${dist})`
-                          : lineLabel
-                      }
-                    />
-                  );
-                })}
-              </RadioGroup>
-            </DialogContent>
-            <DialogActions>
-              <Button onClick={handleChoiceDialogSkip} color="inherit">
-                Skip
-              </Button>
-              <Button onClick={handleChoiceDialogConfirm} variant="contained">
-                Confirm
-              </Button>
-            </DialogActions>
-          </>
-        )}
-      </Dialog>
+      <MatchSettingsDialog
+        open={settingsOpen}
+        settings={matchSettings}
+        onSave={setMatchSettings}
+        onClose={()=>setSettingsOpen(false)}
+      />
+
+      <MatchChoiceDialog pending={pendingChoice} onAnswer={answerChoice} settings={matchSettings} />
     </ThemeProvider>
   );
 }
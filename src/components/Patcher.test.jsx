@@ -0,0 +1,103 @@
+import React from 'react';
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import Patcher from './Patcher';
+import { sessionKeys } from '../utils/sessions';
+
+// CodeMirror ships ES modules jest does not transform; a textarea stands in for the editors
+jest.mock('@uiw/react-codemirror', () => ({ value, onChange }) => (
+  <textarea value={value} onChange={e => onChange && onChange(e.target.value)} />
+));
+jest.mock('@codemirror/view', () => ({ lineNumbers: () => [] }));
+jest.mock('../editor/conflictMarkers', () => ({ conflictMarkers: [] }));
+jest.mock('../editor/legend', () => ({ legendEditor: () => [] }));
+jest.mock('../editor/languages', () => ({ languageExtension: () => [] }));
+// diff2html is ES modules too, and the diff is beside the point here
+jest.mock('./DiffPanel', () => () => null);
+// The worker is created from import.meta.url, which jest cannot load; apply in-thread instead
+jest.mock('../legend/workerClient', () => ({ applyLegendInWorker: jest.requireActual('../legend').applyLegend }));
+
+const draftKey = sessionKeys('patcher').draft;
+
+// A draft whose result came from applying only the first of its two hunks
+const draft = {
+  original: 'a\nb',
+  script: 'M- a\nM+- A\n\nM- b\nM+- B',
+  enabled: { 0: true, 1: false },
+  order: [1, 0],
+  result: {
+    kind: 'hunks',
+    label: 'Saved run',
+    text: 'A\nb',
+    patched: 'A\nb',
+    lineOrigins: [null, 1],
+    reports: {},
+    at: 1
+  },
+  choices: []
+};
+
+describe('Patcher', () => {
+  let container;
+  let root;
+
+  beforeAll(() => {
+    global.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers(); // the draft is saved once changes pause
+    window.localStorage.setItem(draftKey, JSON.stringify(draft));
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    window.localStorage.clear();
+    jest.useRealTimers();
+  });
+
+  it('restores the autosaved draft under StrictMode', () => {
+    act(() => root.render(<React.StrictMode><Patcher /></React.StrictMode>));
+    act(() => jest.runAllTimers());
+
+    expect(container.textContent).toContain('Saved run');
+    const saved = JSON.parse(window.localStorage.getItem(draftKey));
+    expect(saved.result.label).toBe('Saved run');
+    expect(saved.enabled).toEqual(draft.enabled);
+    expect(saved.order).toEqual(draft.order);
+    expect(saved.result.lineOrigins).toBeUndefined(); // worked out again on restore
+  });
+
+  it('says so when the draft cannot be saved', () => {
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    act(() => root.render(<Patcher />));
+    act(() => jest.runAllTimers());
+
+    expect(container.textContent).toContain('Could not save locally');
+    setItem.mockRestore();
+  });
+
+  it('keeps the local draft when a shared session is opened, until it is edited', () => {
+    const shared = { ...draft, original: 'shared', result: { ...draft.result, text: 'shared' } };
+    act(() => root.render(<React.StrictMode><Patcher session={shared} /></React.StrictMode>));
+    act(() => jest.runAllTimers());
+
+    expect(container.textContent).toContain('Opened from a shared link');
+    expect(JSON.parse(window.localStorage.getItem(draftKey))).toEqual(draft);
+
+    const [original] = container.querySelectorAll('textarea');
+    const setValue = Object.getOwnPropertyDescriptor(window.HTMLTextAreaElement.prototype, 'value').set;
+    act(() => {
+      setValue.call(original, 'shared, edited');
+      original.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    act(() => jest.runAllTimers());
+    expect(JSON.parse(window.localStorage.getItem(draftKey)).original).toBe('shared, edited');
+  });
+});
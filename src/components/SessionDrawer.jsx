@@ -0,0 +1,136 @@
+// FILE: src/components/SessionDrawer.jsx
+
+import React, { useState } from 'react';
+import {
+  Drawer,
+  Box,
+  Stack,
+  Typography,
+  TextField,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import DiffPanel from './DiffPanel';
+
+const formatTime = at => new Date(at).toLocaleString();
+
+// One saved run or snapshot with its actions
+function SessionRow({ item, onRestore, onCompare, onDelete }) {
+  return (
+    <Box sx={{ py:1, borderBottom:'1px solid #30363d' }}>
+      <Typography noWrap>{item.name || item.label}</Typography>
+      <Typography variant="body2" sx={{ color:'text.secondary' }}>
+        {formatTime(item.at)}
+        {item.name && ` · ${item.label}`}
+        {item.detail && ` · ${item.detail}`}
+      </Typography>
+      <Stack direction="row" spacing={1} sx={{ mt:0.5 }}>
+        <Button size="small" onClick={() => onRestore(item)}>Restore</Button>
+        <Button size="small" onClick={() => onCompare(item)}>Compare</Button>
+        {onDelete && (
+          <Button size="small" color="error" onClick={() => onDelete(item.id)}>Delete</Button>
+        )}
+      </Stack>
+    </Box>
+  );
+}
+
+/**
+ * SessionDrawer: past Apply runs and named snapshots (see utils/sessions.js)
+ *   Compare diffs a saved result against `currentText`; Restore hands the item back to the
+ *   patcher, which puts its saved `state` back.
+ */
+export default function SessionDrawer({
+  open,
+  onClose,
+  runs,
+  snapshots,
+  currentText,
+  language,
+  onRestore,
+  onSaveSnapshot,
+  onDeleteSnapshot,
+  onClearRuns
+}) {
+  const [name, setName] = useState('');
+  const [comparing, setComparing] = useState(null);
+
+  const handleSave = () => {
+    onSaveSnapshot(name.trim());
+    setName('');
+  };
+
+  const handleRestore = item => {
+    onRestore(item);
+    onClose();
+  };
+
+  return (
+    <>
+      <Drawer anchor="right" open={open} onClose={onClose}>
+        <Box sx={{ width:380, p:2 }}>
+          <Typography variant="h6" gutterBottom>Snapshots</Typography>
+          <Stack direction="row" spacing={1}>
+            <TextField
+              size="small"
+              fullWidth
+              label="Snapshot name"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter' && name.trim()) handleSave(); }}
+            />
+            <Button variant="contained" onClick={handleSave} disabled={!name.trim()}>Save</Button>
+          </Stack>
+          {snapshots.length === 0 && (
+            <Typography variant="body2" sx={{ mt:1, color:'text.secondary' }}>
+              Save the original, script and result under a name to come back to them later.
+            </Typography>
+          )}
+          {snapshots.map(item => (
+            <SessionRow
+              key={item.id}
+              item={item}
+              onRestore={handleRestore}
+              onCompare={setComparing}
+              onDelete={onDeleteSnapshot}
+            />
+          ))}
+
+          <Box sx={{ display:'flex', alignItems:'center', mt:3 }}>
+            <Typography variant="h6" sx={{ flex:1 }}>Apply runs</Typography>
+            <Button size="small" color="inherit" onClick={onClearRuns} disabled={!runs.length}>Clear</Button>
+          </Box>
+          {runs.length === 0 && (
+            <Typography variant="body2" sx={{ color:'text.secondary' }}>(No runs yet.)</Typography>
+          )}
+          {runs.map(item => (
+            <SessionRow key={item.id} item={item} onRestore={handleRestore} onCompare={setComparing} />
+          ))}
+        </Box>
+      </Drawer>
+
+      <Dialog open={!!comparing} onClose={() => setComparing(null)} maxWidth="lg" fullWidth>
+        <DialogTitle>
+          {comparing && `${comparing.name || comparing.label} (${formatTime(comparing.at)}) → current result`}
+        </DialogTitle>
+        <DialogContent dividers>
+          {comparing && (
+            <DiffPanel
+              oldText={comparing.text}
+              newText={currentText}
+              oldName="saved"
+              newName="current"
+              language={language}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setComparing(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,26 @@
+// FILE: src/components/SessionNotices.jsx
+
+import React from 'react';
+import { Typography } from '@mui/material';
+
+/**
+ * SessionNotices: what a patcher's autosave has to tell the user
+ *   session – the patcher's useSession result
+ */
+export default function SessionNotices({ session }) {
+  return (
+    <>
+      {session.keepingDraft && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb:1 }}>
+          Opened from a shared link. Your own autosaved session is kept until you change something here.
+        </Typography>
+      )}
+      {session.saveFailed && (
+        <Typography variant="body2" color="error" sx={{ mb:1 }}>
+          Could not save locally: browser storage is full or blocked. Delete snapshots or clear the
+          runs to make room.
+        </Typography>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,78 @@
+// FILE: src/components/ShareSessionDialog.jsx
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  CircularProgress,
+  Box
+} from '@mui/material';
+import { saveSession, sessionUrl, describeApiError } from '../utils/sessionApi';
+
+/**
+ * ShareSessionDialog: saves `state` to the backend as soon as it opens and shows the
+ * /session/:id link to it. Failures can be retried from the dialog.
+ */
+export default function ShareSessionDialog({ open, onClose, kind, state }) {
+  const [status, setStatus] = useState({ saving: false, link: null, error: null });
+
+  const save = useCallback(async () => {
+    setStatus({ saving: true, link: null, error: null });
+    try {
+      const id = await saveSession(kind, state);
+      setStatus({ saving: false, link: sessionUrl(id), error: null });
+    } catch (err) {
+      setStatus({ saving: false, link: null, error: describeApiError(err) });
+    }
+  }, [kind, state]);
+  const saveRef = useRef(save);
+  saveRef.current = save;
+
+  // Save what is on screen when the dialog opens, not on every later change
+  useEffect(() => {
+    if (open) saveRef.current();
+  }, [open]);
+
+  const handleCopy = () => {
+    if (status.link) navigator.clipboard.writeText(status.link);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Share session</DialogTitle>
+      <DialogContent dividers>
+        {status.saving && (
+          <Box sx={{ display:'flex', alignItems:'center', gap:2 }}>
+            <CircularProgress size={24} />
+            <Typography>Saving to the server…</Typography>
+          </Box>
+        )}
+        {status.error && <Typography color="error">Could not save the session: {status.error}</Typography>}
+        {status.link && (
+          <>
+            <Typography gutterBottom>
+              Anyone with this link can open the original, script, hunk selection and result:
+            </Typography>
+            <TextField
+              fullWidth
+              size="small"
+              value={status.link}
+              InputProps={{ readOnly: true }}
+              onFocus={e => e.target.select()}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {status.error && <Button onClick={save}>Retry</Button>}
+        {status.link && <Button onClick={handleCopy}>Copy link</Button>}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
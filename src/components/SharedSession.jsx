@@ -0,0 +1,55 @@
+// FILE: src/components/SharedSession.jsx
+
+import React, { useState, useEffect } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import { Box, Typography, Button, CircularProgress } from '@mui/material';
+import { loadSession, describeApiError, SESSION_KINDS } from '../utils/sessionApi';
+import Patcher from './Patcher';
+import LinePatcher from './LinePatcher';
+
+/**
+ * SharedSession: the /session/:id route
+ *   Loads a session saved with ShareSessionDialog and opens it in the patcher that saved it.
+ */
+export default function SharedSession() {
+  const { id } = useParams();
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let stale = false;
+    setSession(null);
+    setError(null);
+    loadSession(id)
+      .then(loaded => { if (!stale) setSession(loaded); })
+      .catch(err => { if (!stale) setError(describeApiError(err)); });
+    return () => {
+      stale = true;
+    };
+  }, [id, attempt]);
+
+  if (error) {
+    return (
+      <Box sx={{ p:4 }}>
+        <Typography color="error" gutterBottom>Could not load session {id}: {error}</Typography>
+        <Button variant="contained" onClick={() => setAttempt(n => n + 1)} sx={{ mr:1 }}>Retry</Button>
+        <Button component={RouterLink} to="/">Start a new session</Button>
+      </Box>
+    );
+  }
+
+  if (!session) {
+    return (
+      <Box sx={{ p:4, display:'flex', alignItems:'center', gap:2 }}>
+        <CircularProgress size={24} />
+        <Typography>Loading session {id}…</Typography>
+      </Box>
+    );
+  }
+
+  // key: a different session remounts the patcher so it starts from that session's state
+  return session.kind === SESSION_KINDS.linePatcher
+    ? <LinePatcher key={session.id} session={session.state} />
+    : <Patcher key={session.id} session={session.state} />;
+}
@@ -0,0 +1,347 @@
+// FILE: src/components/WorkspacePatcher.jsx
+
+import React, { useState, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import CodeMirror from '@uiw/react-codemirror';
+import { lineNumbers } from '@codemirror/view';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  Stack,
+  Chip,
+  styled
+} from '@mui/material';
+import { applyLegendToFiles, summarizeReport } from '../legend';
+import { applyLegendInWorker } from '../legend/workerClient';
+import { readFileList, readDataTransfer } from '../utils/files';
+import { zipFiles } from '../utils/zip';
+import { downloadFile } from '../utils/download';
+import { legendEditor } from '../editor/legend';
+import { languageExtension } from '../editor/languages';
+import { languageFromPath, detectLanguage } from '../utils/language';
+import DiffPanel from './DiffPanel';
+import DiffImportDialog from './DiffImportDialog';
+import MatchChoiceDialog, { useMatchChoice } from './MatchChoiceDialog';
+import { MATCH_SETTINGS_KEY } from './MatchSettingsDialog';
+import { useStoredState } from '../utils/storage';
+
+/* ------------------ Editor Styles ------------------ */
+
+// Same Editor styling as in Patcher
+const EditorWrapper = styled(Box)(() => ({
+  '& .cm-editor': {
+    minHeight: '200px',
+    backgroundColor: '#000 !important'
+  },
+  '& .cm-content': {
+    backgroundColor: '#000 !important',
+    color: '#fff !important'
+  },
+  '& .cm-gutters': {
+    backgroundColor: '#000 !important',
+    color: '#888 !important',
+    border: 'none !important'
+  }
+}));
+
+/* ------------------ File Tree ------------------ */
+
+// ['src/a.js', 'src/lib/b.js'] → nested { dirs: { src: {...} }, files: [...] }
+function buildTree(paths) {
+  const root = { dirs: {}, files: [] };
+  paths.forEach(path => {
+    const parts = path.split('/');
+    let node = root;
+    parts.slice(0, -1).forEach(part => {
+      node.dirs[part] = node.dirs[part] || { dirs: {}, files: [] };
+      node = node.dirs[part];
+    });
+    node.files.push({ name: parts[parts.length - 1], path });
+  });
+  return root;
+}
+
+function FileTreeNode({ node, depth, selected, changed, onSelect }) {
+  const pad = depth * 1.5;
+  return (
+    <>
+      {Object.keys(node.dirs).sort().map(dir => (
+        <Box key={dir}>
+          <Typography variant="body2" sx={{ pl:pad, color:'text.secondary' }}>
+            {dir}/
+          </Typography>
+          <FileTreeNode
+            node={node.dirs[dir]}
+            depth={depth + 1}
+            selected={selected}
+            changed={changed}
+            onSelect={onSelect}
+          />
+        </Box>
+      ))}
+      {[...node.files].sort((a, b) => a.name.localeCompare(b.name)).map(f => (
+        <Box
+          key={f.path}
+          onClick={() => onSelect(f.path)}
+          sx={{
+            pl:pad,
+            cursor:'pointer',
+            display:'flex',
+            alignItems:'center',
+            gap:1,
+            bgcolor: f.path === selected ? 'rgba(240,80,50,0.15)' : 'transparent',
+            '&:hover': { bgcolor:'rgba(255,255,255,0.05)' }
+          }}
+        >
+          <Typography variant="body2" sx={{ flex:1 }}>{f.name}</Typography>
+          {changed.has(f.path) && <Chip size="small" label="M" color="warning" variant="outlined" />}
+        </Box>
+      ))}
+    </>
+  );
+}
+
+/* ------------------ Main Component ------------------ */
+
+export default function WorkspacePatcher() {
+  const [files, setFiles] = useState([]);          // [{ path, text }]
+  const [selected, setSelected] = useState(null);  // path of the file in the editor
+  const [scriptText, setScriptText] = useState('');
+
+  const [results, setResults] = useState([]);      // applyLegendToFiles results
+  const [warnings, setWarnings] = useState([]);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [applying, setApplying] = useState(false);
+  // A diff the Patcher's import dialog sent over opens the import dialog straight away
+  const sentDiff = useLocation().state?.diff;
+  const [importOpen, setImportOpen] = useState(!!sentDiff);
+
+  const { pending: pendingChoice, resolveAmbiguity, answer: answerChoice } = useMatchChoice();
+  const [matchSettings] = useStoredState(MATCH_SETTINGS_KEY, {}); // edited from the Patcher
+
+  const tree = useMemo(() => buildTree(files.map(f => f.path)), [files]);
+  const changedResults = useMemo(() => results.filter(r => r.text !== r.original), [results]);
+  const changedPaths = useMemo(() => new Set(changedResults.map(r => r.path)), [changedResults]);
+  const selectedFile = files.find(f => f.path === selected);
+  // Highlight by extension, or by content for files without a known one
+  const selectedExtensions = useMemo(
+    () => selectedFile
+      ? [lineNumbers(), languageExtension(languageFromPath(selectedFile.path) || detectLanguage(selectedFile.text))]
+      : [],
+    [selectedFile]
+  );
+  const scriptExtensions = useMemo(
+    () => legendEditor({ original: selectedFile ? selectedFile.text : '', settings: matchSettings }),
+    [selectedFile, matchSettings]
+  );
+
+  // Adds files, replacing any already open under the same path
+  const openFiles = incoming => {
+    if (!incoming.length) return;
+    setFiles(prev => [
+      ...prev.filter(f => !incoming.some(n => n.path === f.path)),
+      ...incoming
+    ]);
+    setSelected(current => current || incoming[0].path);
+  };
+
+  const handleInput = async e => {
+    const list = e.target.files;
+    openFiles(await readFileList(list));
+    e.target.value = '';
+  };
+
+  const handleDrop = async e => {
+    e.preventDefault();
+    setDragging(false);
+    openFiles(await readDataTransfer(e.dataTransfer));
+  };
+
+  const handleNewFile = () => {
+    const path = window.prompt('File path (e.g. src/utils/helpers.js)');
+    if (path && path.trim()) openFiles([{ path: path.trim(), text: '' }]);
+  };
+
+  const handleCloseFile = () => {
+    setFiles(prev => prev.filter(f => f.path !== selected));
+    setSelected(null);
+  };
+
+  const updateSelectedText = text => {
+    setFiles(prev => prev.map(f => (f.path === selected ? { ...f, text } : f)));
+  };
+
+  const handleApply = async () => {
+    setError(null);
+    setApplying(true);
+    try {
+      const run = await applyLegendToFiles(files, scriptText, {
+        defaultPath: selected,
+        resolveAmbiguity,
+        apply: applyLegendInWorker,
+        settings: matchSettings
+      });
+      setResults(run.results);
+      setWarnings(run.warnings);
+    } catch (err) {
+      setError('Failed to apply patch: ' + err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleDownloadZip = async () => {
+    const blob = await zipFiles(changedResults.map(r => ({ path: r.path, text: r.text })));
+    downloadFile('patched-files.zip', blob);
+  };
+
+  return (
+    <Box sx={{ display:'flex', width:'100vw', height:'100%', bgcolor:'background.default' }}>
+      {/* File Tree */}
+      <Box
+        onDragOver={e => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        sx={{
+          width:'20%',
+          minWidth:240,
+          borderRight:'1px solid #30363d',
+          p:2,
+          overflowY:'auto',
+          outline: dragging ? '2px dashed #F05032' : 'none',
+          outlineOffset: -4
+        }}
+      >
+        <Typography variant="h6" gutterBottom>Files</Typography>
+        <Stack direction="row" spacing={1} sx={{ mb:2, flexWrap:'wrap', gap:1 }}>
+          <Button size="small" variant="outlined" component="label">
+            Open files
+            <input hidden multiple type="file" onChange={handleInput} />
+          </Button>
+          <Button size="small" variant="outlined" component="label">
+            Open folder
+            <input hidden multiple type="file" webkitdirectory="" onChange={handleInput} />
+          </Button>
+          <Button size="small" onClick={handleNewFile}>New file</Button>
+        </Stack>
+        {files.length === 0
+          ? <Typography variant="body2">Drop files or folders here.</Typography>
+          : <FileTreeNode
+              node={tree}
+              depth={0}
+              selected={selected}
+              changed={changedPaths}
+              onSelect={setSelected}
+            />
+        }
+      </Box>
+
+      {/* Editor & Script */}
+      <Box sx={{ width:'35%', minWidth:320, borderRight:'1px solid #30363d', p:2, overflowY:'auto' }}>
+        <Box sx={{ display:'flex', alignItems:'center', mb:1 }}>
+          <Typography variant="h6" sx={{ flex:1 }} noWrap>
+            {selected || 'No file selected'}
+          </Typography>
+          {selected && <Button size="small" color="inherit" onClick={handleCloseFile}>Close</Button>}
+        </Box>
+        {selectedFile && (
+          <EditorWrapper>
+            <CodeMirror
+              value={selectedFile.text}
+              extensions={selectedExtensions}
+              onChange={updateSelectedText}
+            />
+          </EditorWrapper>
+        )}
+
+        <Box sx={{ display:'flex', alignItems:'center', mt:3, mb:1 }}>
+          <Typography variant="h6" sx={{ flex:1 }}>Legend Script</Typography>
+          <Button size="small" onClick={() => setImportOpen(true)}>Import diff</Button>
+        </Box>
+        <EditorWrapper>
+          <CodeMirror
+            value={scriptText}
+            extensions={scriptExtensions}
+            onChange={setScriptText}
+            placeholder={'FILE: src/App.jsx\nM- old line\nM+- new line\n\nFILE: src/index.js\nD- line...'}
+          />
+        </EditorWrapper>
+        <Typography variant="body2" sx={{ mt:1, color:'text.secondary' }}>
+          Start each file’s section with a FILE: path header (or a // FILE: comment).
+          Lines before the first header apply to the selected file.
+        </Typography>
+        <Box sx={{ display:'flex', justifyContent:'flex-end', mt:2 }}>
+          <Button variant="contained" onClick={handleApply} disabled={!files.length || applying}>
+            {applying ? 'Applying…' : 'Apply'}
+          </Button>
+        </Box>
+        {error && (
+          <Typography color="error" sx={{ mt:1 }}>
+            {error}
+          </Typography>
+        )}
+        {warnings.map((w, i) => (
+          <Typography key={i} color="warning.main" variant="body2" sx={{ mt:1 }}>
+            {w}
+          </Typography>
+        ))}
+      </Box>
+
+      {/* Per-file Results */}
+      <Box sx={{ flex:1, p:2, overflowY:'auto' }}>
+        <Box sx={{ display:'flex', alignItems:'center', mb:1 }}>
+          <Typography variant="h6" sx={{ flex:1 }}>Results</Typography>
+          <Button variant="contained" onClick={handleDownloadZip} disabled={!changedResults.length}>
+            Download changed files (.zip)
+          </Button>
+        </Box>
+        {results.length === 0 && <Typography>(Click Apply to patch the open files.)</Typography>}
+        {results.map(r => {
+          const stats = summarizeReport(r.report);
+          return (
+            <Card
+              key={r.path}
+              variant="outlined"
+              sx={{ mb:2, bgcolor:'background.paper', border:'1px solid #30363d' }}
+            >
+              <Box sx={{ p:1, borderBottom:'1px solid #30363d' }}>
+                <Typography variant="h6">{r.path}</Typography>
+                <Typography variant="body2">
+                  Deleted: {stats.deletes} · Replaced: {stats.replaces} · Inserted: {stats.inserts}
+                  {stats.fuzzy > 0 && ` · Fuzzy: ${stats.fuzzy}`}
+                  {stats.skipped > 0 && ` · Skipped: ${stats.skipped}`}
+                </Typography>
+                {stats.notFound > 0 && (
+                  <Typography variant="body2" color="error">Not found: {stats.notFound}</Typography>
+                )}
+                {r.warnings.map((w, i) => (
+                  <Typography key={i} variant="body2" color="error">{w}</Typography>
+                ))}
+              </Box>
+              <Box sx={{ p:2 }}>
+                <DiffPanel
+                  oldText={r.original}
+                  newText={r.text}
+                  oldName={`a/${r.path}`}
+                  newName={`b/${r.path}`}
+                />
+              </Box>
+            </Card>
+          );
+        })}
+      </Box>
+
+      <DiffImportDialog
+        initialDiff={sentDiff}
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImport={setScriptText}
+      />
+
+      <MatchChoiceDialog pending={pendingChoice} onAnswer={answerChoice} settings={matchSettings} />
+    </Box>
+  );
+}
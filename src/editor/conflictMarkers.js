@@ -0,0 +1,54 @@
+// FILE: src/editor/conflictMarkers.js
+
+import { Decoration, ViewPlugin, EditorView } from '@codemirror/view';
+import { CONFLICT_START, CONFLICT_SEPARATOR, CONFLICT_END } from '../legend/merge';
+
+/* ------------------ Conflict Highlighting ------------------ */
+
+const marker = Decoration.line({ class: 'cm-conflict-marker' });
+const ours = Decoration.line({ class: 'cm-conflict-ours' });
+const theirs = Decoration.line({ class: 'cm-conflict-theirs' });
+
+// Line decorations for every <<<<<<< / ======= / >>>>>>> block in the document
+function conflictDecorations(doc) {
+  const decorations = [];
+  let side = null; // null outside a block, then ours, then theirs
+  for (let n = 1; n <= doc.lines; n++) {
+    const line = doc.line(n);
+    if (line.text.startsWith(CONFLICT_START)) {
+      side = ours;
+      decorations.push(marker.range(line.from));
+    } else if (side && line.text === CONFLICT_SEPARATOR) {
+      side = theirs;
+      decorations.push(marker.range(line.from));
+    } else if (side && line.text.startsWith(CONFLICT_END)) {
+      side = null;
+      decorations.push(marker.range(line.from));
+    } else if (side) {
+      decorations.push(side.range(line.from));
+    }
+  }
+  return Decoration.set(decorations);
+}
+
+const conflictPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = conflictDecorations(view.state.doc);
+    }
+
+    update(update) {
+      if (update.docChanged) this.decorations = conflictDecorations(update.state.doc);
+    }
+  },
+  { decorations: plugin => plugin.decorations }
+);
+
+const conflictTheme = EditorView.baseTheme({
+  '.cm-conflict-marker': { backgroundColor: 'rgba(240,80,50,0.35)', fontWeight: 'bold' },
+  '.cm-conflict-ours': { backgroundColor: 'rgba(56,139,253,0.15)' },
+  '.cm-conflict-theirs': { backgroundColor: 'rgba(46,164,79,0.15)' }
+});
+
+// CodeMirror extension: tints merge conflict blocks left by mergeThreeWay
+export const conflictMarkers = [conflictPlugin, conflictTheme];
@@ -0,0 +1,24 @@
+// FILE: src/editor/languages.js
+
+import { javascript } from '@codemirror/lang-javascript';
+import { python } from '@codemirror/lang-python';
+import { html } from '@codemirror/lang-html';
+import { css } from '@codemirror/lang-css';
+
+/* ------------------ Editor Languages ------------------ */
+
+// CodeMirror support per language id (see utils/language.js)
+const EDITOR_LANGUAGES = {
+  javascript: () => javascript({ jsx: true }),
+  typescript: () => javascript({ jsx: true, typescript: true }),
+  json: () => javascript(),
+  python: () => python(),
+  html: () => html(),
+  css: () => css(),
+  text: () => []
+};
+
+// CodeMirror extension highlighting `id`; unknown ids get JavaScript
+export function languageExtension(id) {
+  return (EDITOR_LANGUAGES[id] || EDITOR_LANGUAGES.javascript)();
+}
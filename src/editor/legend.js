@@ -0,0 +1,155 @@
+// FILE: src/editor/legend.js
+
+import { StreamLanguage, HighlightStyle, syntaxHighlighting } from '@codemirror/language';
+import { linter } from '@codemirror/lint';
+import { autocompletion } from '@codemirror/autocomplete';
+import { gutter, GutterMarker, EditorView } from '@codemirror/view';
+import { RangeSet } from '@codemirror/state';
+import { tags } from '@lezer/highlight';
+import { scanScript } from '../legend/parse';
+import { opTargetLines } from '../legend/apply';
+import { createLineIndex, findBlockMatches } from '../legend/match';
+
+/* ------------------ Legend Language ------------------ */
+
+// Prefix → token type; longest prefixes first so `M+-` isn't read as `M-`
+const PREFIX_TOKENS = [
+  ['M+-', 'inserted'],
+  ['NAD+', 'inserted'],
+  ['TOP+', 'keyword'],
+  ['END+', 'keyword'],
+  ['AF+', 'keyword'],
+  ['BF+', 'keyword'],
+  ['DF-', 'deleted'],
+  ['DT-', 'deleted'],
+  ['D-', 'deleted'],
+  ['M-', 'deleted']
+];
+
+const FILE_HEADER = /^(?:(?:\/\/|#)\s*)?FILE:.*/i;
+
+// Highlights the op prefix at the start of a line; the rest of the line is code
+const legendLanguage = StreamLanguage.define({
+  name: 'legend',
+  token(stream) {
+    if (stream.sol()) {
+      stream.eatSpace();
+      if (stream.match(FILE_HEADER)) return 'heading';
+      const hit = PREFIX_TOKENS.find(([prefix]) => stream.match(prefix));
+      if (hit) return hit[1];
+    }
+    stream.skipToEnd();
+    return 'content';
+  }
+});
+
+const legendHighlight = HighlightStyle.define([
+  { tag: tags.deleted, color: '#f85149', fontWeight: 'bold' },
+  { tag: tags.inserted, color: '#2ea44f', fontWeight: 'bold' },
+  { tag: tags.keyword, color: '#d29922', fontWeight: 'bold' },
+  { tag: tags.heading, color: '#58a6ff', fontWeight: 'bold' }
+]);
+
+/* ------------------ Lint ------------------ */
+
+// scanScript's problems as CodeMirror diagnostics
+const legendLinter = linter(view => {
+  const { doc } = view.state;
+  return scanScript(doc.toString().split('\n')).problems.map(({ line, severity, message }) => {
+    const { from, to } = doc.line(line + 1);
+    return { from, to, severity, message };
+  });
+});
+
+/* ------------------ Target Gutter ------------------ */
+
+const MATCH_MARKS = {
+  found: { text: '●', color: '#2ea44f', title: 'Target found in the original' },
+  ambiguous: { text: '●', color: '#d29922', title: 'Target found more than once – you will be asked which' },
+  missing: { text: '○', color: '#f85149', title: 'No exact match in the original (Apply may still find a close one)' }
+};
+
+class MatchMarker extends GutterMarker {
+  constructor(status) {
+    super();
+    this.status = status;
+  }
+
+  eq(other) {
+    return other.status === this.status;
+  }
+
+  toDOM() {
+    const { text, color, title } = MATCH_MARKS[this.status];
+    const el = document.createElement('span');
+    el.textContent = text;
+    el.title = title;
+    el.style.color = color;
+    return el;
+  }
+}
+
+// One marker on the first line of every op that has a target; exact matches only, so it
+// stays cheap while typing
+function matchGutter(originalLines, settings) {
+  const index = createLineIndex(originalLines, { ...settings, strict: true });
+  return gutter({
+    class: 'cm-legend-match-gutter',
+    markers: view => {
+      const { doc } = view.state;
+      const markers = scanScript(doc.toString().split('\n')).ops
+        .filter(({ op }) => opTargetLines(op).length > 0)
+        .map(({ op, from }) => {
+          const { exact } = findBlockMatches(originalLines, opTargetLines(op), { index });
+          const status = exact.length === 1 ? 'found' : exact.length > 1 ? 'ambiguous' : 'missing';
+          return new MatchMarker(status).range(doc.line(from + 1).from);
+        });
+      return RangeSet.of(markers);
+    }
+  });
+}
+
+/* ------------------ Autocomplete ------------------ */
+
+const TARGET_PREFIX = /^(\s*(?:D-|M-|AF\+|BF\+|DF-|DT-)\s*)/;
+
+// After a target prefix, offers the original's lines (each distinct line once)
+function originalLineCompletions(originalLines) {
+  const options = [];
+  const seen = new Set();
+  originalLines.forEach((line, i) => {
+    const label = line.trim();
+    if (!label || seen.has(label)) return;
+    seen.add(label);
+    options.push({ label, detail: `line ${i + 1}`, type: 'text' });
+  });
+
+  return context => {
+    const line = context.state.doc.lineAt(context.pos);
+    const prefix = line.text.slice(0, context.pos - line.from).match(TARGET_PREFIX);
+    if (!prefix) return null;
+    return { from: line.from + prefix[1].length, options };
+  };
+}
+
+/**
+ * legendEditor: CodeMirror extensions for editing a Legend script
+ *   - prefix highlighting (D-, M-, M+-, AF+, BF+, NAD+, TOP+, END+, DF-, DT-, FILE:)
+ *   - lint for the lines parseCommands would skip (see scanScript)
+ *   - a gutter dot per op: target found once, several times, or not exactly at all
+ *   - completion of original lines after D- / M- / AF+ / BF+ / DF- / DT-
+ *   original – the code the script will be applied to
+ *   settings – matching settings (see legend/settings.js)
+ * Build it again when `original` or `settings` change.
+ */
+export function legendEditor({ original = '', settings } = {}) {
+  const originalLines = original.split('\n');
+  return [
+    legendLanguage,
+    syntaxHighlighting(legendHighlight),
+    legendLinter,
+    matchGutter(originalLines, settings),
+    autocompletion({ override: [originalLineCompletions(originalLines)] }),
+    EditorView.baseTheme({ '.cm-legend-match-gutter .cm-gutterElement': { padding: '0 4px' } })
+  ];
+}
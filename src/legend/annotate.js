@@ -0,0 +1,74 @@
+// FILE: src/legend/annotate.js
+
+import { diffArrays } from 'diff';
+
+/* ------------------ Annotated Result (deleted/inserted lines) ------------------ */
+
+/**
+ * buildAnnotatedResult: line-by-line record of what the apply run did
+ *   originalLines – the text before patching, split into lines
+ *   resultLines   – the patched text, split into lines
+ *   lineOrigins   – for each result line, the original index it came from (null if inserted),
+ *                   as returned by applyLegend
+ *
+ * Returns rows { text, status: 'unchanged' | 'deleted' | 'inserted', oldNo, newNo }
+ * (1-based line numbers, null on the side a line doesn't exist). Deleted lines come
+ * before the inserted lines that take their place, as in a unified diff.
+ */
+export function buildAnnotatedResult(originalLines, resultLines, lineOrigins) {
+  const rows = [];
+  let nextOld = 0;
+
+  const deleteUpTo = end => {
+    for (; nextOld < end; nextOld++) {
+      rows.push({ text: originalLines[nextOld], status: 'deleted', oldNo: nextOld + 1, newNo: null });
+    }
+  };
+
+  resultLines.forEach((text, j) => {
+    const origin = lineOrigins[j];
+    if (origin == null) {
+      // flush the deletions this insert run replaces before showing it
+      const nextKept = lineOrigins.slice(j).find(o => o != null);
+      deleteUpTo(nextKept == null ? originalLines.length : nextKept);
+      rows.push({ text, status: 'inserted', oldNo: null, newNo: j + 1 });
+      return;
+    }
+    deleteUpTo(origin);
+    rows.push({ text, status: 'unchanged', oldNo: origin + 1, newNo: j + 1 });
+    nextOld = origin + 1;
+  });
+  deleteUpTo(originalLines.length);
+
+  return rows;
+}
+
+/* ------------------ Chaining Line Origins ------------------ */
+
+/**
+ * composeOrigins: lineOrigins of two runs in a row, as if they were one
+ *   `first` maps the intermediate text to the original, `second` the result to the
+ *   intermediate text (both as returned by applyLegend).
+ */
+export function composeOrigins(first, second) {
+  return second.map(o => (o == null ? null : first[o]));
+}
+
+/**
+ * carryOrigins: lineOrigins after a hand edit of a patched text
+ *   Lines the edit left alone (by line diff) keep their origin; edited lines count as inserted.
+ */
+export function carryOrigins(beforeLines, afterLines, origins) {
+  const carried = [];
+  let before = 0;
+  diffArrays(beforeLines, afterLines).forEach(part => {
+    if (part.removed) {
+      before += part.count;
+    } else if (part.added) {
+      part.value.forEach(() => carried.push(null));
+    } else {
+      part.value.forEach(() => carried.push(origins[before++]));
+    }
+  });
+  return carried;
+}
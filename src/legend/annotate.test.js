@@ -0,0 +1,31 @@
+import { applyLegend } from './apply';
+import { buildAnnotatedResult, composeOrigins, carryOrigins } from './annotate';
+
+describe('buildAnnotatedResult', () => {
+  it('follows the lines the apply run really touched', async () => {
+    const original = ['}', 'a();', '}', 'b();'];
+    const { text, lineOrigins } = await applyLegend(original.join('\n'), 'M- }\nM+- };', {
+      resolveAmbiguity: ({ choices }) => ({ lineIndex: choices[1].idx, skip: false })
+    });
+
+    expect(buildAnnotatedResult(original, text.split('\n'), lineOrigins)).toEqual([
+      { text: '}', status: 'unchanged', oldNo: 1, newNo: 1 },
+      { text: 'a();', status: 'unchanged', oldNo: 2, newNo: 2 },
+      { text: '}', status: 'deleted', oldNo: 3, newNo: null },
+      { text: '};', status: 'inserted', oldNo: null, newNo: 3 },
+      { text: 'b();', status: 'unchanged', oldNo: 4, newNo: 4 }
+    ]);
+  });
+});
+
+describe('composeOrigins', () => {
+  it('maps a second run back through the first', () => {
+    expect(composeOrigins([0, null, 2], [0, 1, null, 2])).toEqual([0, null, null, 2]);
+  });
+});
+
+describe('carryOrigins', () => {
+  it('keeps origins of untouched lines and marks edited ones inserted', () => {
+    expect(carryOrigins(['a', 'b', 'c'], ['a', 'B', 'c', 'd'], [0, null, 2])).toEqual([0, null, 2, null]);
+  });
+});
@@ -0,0 +1,389 @@
+// FILE: src/legend/apply.js
+
+import { findBlockMatches, createLineIndex } from './match';
+import { parseCommands } from './parse';
+import { rankCandidates, enclosingScope } from './rank';
+import {
+  detectIndentUnit,
+  fitIndentation,
+  leadingWhitespace,
+  indentForInsert,
+  indentForInsertBefore,
+  indentForReplace,
+  reindentFrom
+} from './indent';
+
+/* ------------------ Headless Apply ------------------ */
+
+// The block of lines an op has to find in the file before it can be applied
+// (empty for prepend/append, the start block for deleteRange)
+export function opTargetLines(op) {
+  if (op.type === 'insert' || op.type === 'insertBefore') return op.anchorLines;
+  if (op.type === 'deleteRange') return op.fromLines;
+  if (op.type === 'prepend' || op.type === 'append') return [];
+  return op.oldLines;
+}
+
+// Default resolver: without someone to ask, ambiguous ops are skipped
+function skipAmbiguous() {
+  return { lineIndex: null, skip: true };
+}
+
+// Lines of code shown either side of a candidate in the choice dialog
+const PREVIEW_CONTEXT = 3;
+
+/**
+ * withPreview: adds what the choice dialog shows for a candidate
+ *   around  – [{ lineNo, text, match }]: the candidate and PREVIEW_CONTEXT lines either side
+ *   preview – [{ text, kind: 'context' | 'removed' | 'added' }]: the same spot with the op
+ *             applied there (a range shows only the matched block being removed)
+ */
+function withPreview(lines, op, choice, unit) {
+  const start = Math.max(0, choice.idx - PREVIEW_CONTEXT);
+  const window = lines.slice(start, choice.idx + choice.length + PREVIEW_CONTEXT);
+  const around = window.map((text, i) => ({
+    lineNo: start + i + 1,
+    text,
+    match: start + i >= choice.idx && start + i < choice.idx + choice.length
+  }));
+
+  const matched = around.filter(l => l.match).map(l => l.text);
+  const previewOp = op.type === 'deleteRange' ? { type: 'delete', oldLines: matched } : op;
+  const { at, removed, added } = applyAt([...window], previewOp, choice.idx - start, unit);
+  const preview = [
+    ...window.slice(0, at).map(text => ({ text, kind: 'context' })),
+    ...window.slice(at, at + removed).map(text => ({ text, kind: 'removed' })),
+    ...added.map(text => ({ text, kind: 'added' })),
+    ...window.slice(at + removed).map(text => ({ text, kind: 'context' }))
+  ];
+  return { ...choice, around, preview };
+}
+
+/**
+ * locateBlock:
+ *  1) find all exact fuzzy matches of `targetLines` at or after line `from` (through `index`)
+ *  2) exactly one, or one picked by `prefer(exactIndices)` => use it
+ *  3) otherwise several exact, or only close ones => rank them (see rank.js with `rankContext`);
+ *     take the best if its confidence reaches settings.autoAccept, else ask resolveAmbiguity
+ *     with the ranked choices, best first, each with its surrounding code and a preview
+ *     (see withPreview; `unit` is the file's indent unit)
+ *  4) none at all => null
+ * An `{ all: true }` answer returns every candidate as `lineIndices` (ascending).
+ */
+async function locateBlock(
+  lines,
+  targetLines,
+  op,
+  resolveAmbiguity,
+  { index, unit, from = 0, prefer, rankContext } = {}
+) {
+  const { exact, close } = findBlockMatches(lines, targetLines, { from, index });
+
+  if (exact.length === 0 && close.length === 0) return null;
+
+  const preferred = exact.length > 1 && prefer ? prefer(exact) : undefined;
+  if (exact.length === 1 || preferred !== undefined) {
+    return { lineIndex: exact.length === 1 ? exact[0] : preferred, skip: false, exact: true };
+  }
+
+  const size = targetLines.length;
+  const choices = rankCandidates(
+    lines,
+    exact.length > 1
+      ? exact.map(idx => ({ idx, length: size, text: lines.slice(idx, idx + size).join('\n'), exact: true }))
+      : close.map(c => ({ idx: c.idx, length: size, text: c.text, dist: c.dist, similarity: c.similarity, exact: false })),
+    { ...rankContext, settings: index.settings, norms: index.norms }
+  );
+
+  const { autoAccept } = index.settings;
+  if (autoAccept > 0 && choices[0].confidence >= autoAccept) {
+    return located(choices[0], true);
+  }
+
+  const answer = await resolveAmbiguity({
+    op,
+    target: targetLines.join('\n'),
+    lines,
+    choices: choices.map(c => withPreview(lines, op, c, unit))
+  });
+  if (answer && answer.all && op.type !== 'deleteRange') {
+    const lineIndices = choices.map(c => c.idx).sort((a, b) => a - b);
+    return {
+      lineIndex: lineIndices[0],
+      lineIndices,
+      skip: false,
+      exact: choices.every(c => c.exact),
+      similarity: choices.some(c => !c.exact) ? Math.min(...choices.map(c => c.similarity)) : undefined
+    };
+  }
+  if (answer && answer.all) {
+    return located(choices[0], false);
+  }
+  if (!answer || answer.skip || answer.lineIndex == null) {
+    return { lineIndex: null, skip: true };
+  }
+  const picked = choices.find(c => c.idx === answer.lineIndex);
+  return picked ? located(picked, false) : { lineIndex: answer.lineIndex, skip: false, exact: false };
+}
+
+// locateBlock's result for a ranked choice
+function located(choice, autoAccepted) {
+  return {
+    lineIndex: choice.idx,
+    skip: false,
+    exact: choice.exact,
+    dist: choice.dist,
+    similarity: choice.similarity,
+    confidence: choice.confidence,
+    autoAccepted
+  };
+}
+
+/**
+ * locateRangeEnd: the DT- block closing a DF- range starting at `start`.
+ * Among several exact candidates we take the first one indented like the start line,
+ * so `DF- function foo() {` / `DT- }` stops at foo's closing brace, not an inner one.
+ */
+function locateRangeEnd(lines, op, start, resolveAmbiguity, { index, unit }) {
+  const indent = leadingWhitespace(lines[start]);
+  return locateBlock(lines, op.toLines, op, resolveAmbiguity, {
+    index,
+    unit,
+    from: start + op.fromLines.length,
+    prefer: exact => exact.find(idx => leadingWhitespace(lines[idx]) === indent) ?? exact[0],
+    rankContext: { cursor: start + op.fromLines.length, neighbours: op.fromLines }
+  });
+}
+
+// Where END+ lines go: before the trailing empty line, so a final newline survives
+function appendIndex(lines) {
+  return lines.length > 1 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+}
+
+// The lines a replace with context (see parseCommands) puts between its context lines, matched
+// at `lineIndex`: { at, removed, added }. The file keeps its own context lines, and the new
+// lines move from the indentation the M- block was written with to the file's.
+function replaceBetweenContext(lines, op, lineIndex, unit) {
+  const { before, after, written } = op.context;
+  const removed = op.oldLines.length - before - after;
+  // The line whose written and actual indentation are compared: the first one replaced,
+  // else the context line just before the new lines (or just after, with none before)
+  const ref = removed || !before ? before : before - 1;
+  const added = reindentFrom(
+    op.newLines.slice(before, op.newLines.length - after),
+    leadingWhitespace(written[ref]),
+    leadingWhitespace(lines[lineIndex + ref]),
+    detectIndentUnit(written),
+    unit
+  );
+  return { at: lineIndex + before, removed, added };
+}
+
+// Splices `op` into `lines`; returns where it happened and what changed:
+// { at, removed: number of lines taken out, added: the lines put in }
+function applyAt(lines, op, lineIndex, unit, endIndex) {
+  const size = opTargetLines(op).length;
+  let at = lineIndex;
+  let removed = 0;
+  let added = [];
+  if (op.type === 'delete') {
+    removed = size;
+  } else if (op.type === 'replace' && op.context) {
+    ({ at, removed, added } = replaceBetweenContext(lines, op, lineIndex, unit));
+  } else if (op.type === 'replace') {
+    removed = size;
+    added = indentForReplace(op.newLines, lines, lineIndex, unit);
+  } else if (op.type === 'insert') {
+    const last = lineIndex + size - 1;
+    at = last + 1;
+    added = indentForInsert(op.newLines, lines, last, unit);
+  } else if (op.type === 'insertBefore') {
+    added = indentForInsertBefore(op.newLines, lines, lineIndex, unit);
+  } else if (op.type === 'prepend' || op.type === 'append') {
+    added = fitIndentation(op.newLines, '', unit);
+  } else if (op.type === 'deleteRange') {
+    removed = endIndex + op.toLines.length - lineIndex;
+  }
+  lines.splice(at, removed, ...added);
+  return { at, removed, added };
+}
+
+/**
+ * applyLegend: applies a Legend script to a piece of text
+ *   original – the text to patch
+ *   script   – the Legend script, or an array of already-parsed ops
+ *   resolveAmbiguity({ op, target, lines, choices }) – called (and awaited) when an op
+ *     matches several places or only close ones; returns { lineIndex, skip }, or
+ *     { all: true } to apply the op at every candidate (not for DF-/DT- ranges, which
+ *     then take the best one), or { skip: true, skipRemaining: true } to skip this and
+ *     every later ambiguous op without asking
+ *   onProgress({ done, total }) – called after each op
+ *   settings – how lines are matched (see settings.js)
+ *
+ * Ambiguous candidates are ranked by where the previous op landed, the neighbouring ops'
+ * lines and the enclosing scope (see rank.js), so resolveAmbiguity gets them best first.
+ *
+ * Returns { text, report, warnings, lineOrigins }. `report` has one entry per op:
+ *   { op, status: 'applied' | 'skipped' | 'not-found', lineIndex, endIndex, exact, dist,
+ *     similarity, confidence, autoAccepted, removed, added }
+ * where lineIndex is the first matched line in the working copy at the time the op ran
+ * (endIndex is the start of the DT- block for ranges), `removed` the number of lines
+ * taken out and `added` the lines put in; an op applied at all candidates also gets
+ * `lineIndices`, and `removed` / `added` cover every spot. `dist` (edit distance) and `similarity` (percent)
+ * are set for close matches only, `confidence` (percent) for ranked ones, and
+ * `autoAccepted` when settings.autoAccept picked one without asking.
+ * `skipped` means resolveAmbiguity declined.
+ * `lineOrigins[j]` is the original line index result line j came from, or null when an
+ * op inserted it; buildAnnotatedResult turns it into the diff of what really happened.
+ * New lines are re-indented against the matched line (see indent.js). A replace with context
+ * lines leaves them as the file has them and only changes the lines in between.
+ */
+export async function applyLegend(original, script, { resolveAmbiguity = skipAmbiguous, onProgress, settings } = {}) {
+  const ops = typeof script === 'string' ? parseCommands(script.split('\n')) : script;
+  const lines = original.split('\n');
+  const unit = detectIndentUnit(lines);
+  const lineOrigins = lines.map((_, i) => i);
+  const index = createLineIndex(lines, settings);
+  const report = [];
+
+  // Where the last applied op left off, for ranking the next op's candidates
+  let cursor = 0;
+  let scope = null;
+
+  // Applies an op and keeps lineOrigins, the line index and the cursor in step with the splice
+  const splice = (op, lineIndex, endIndex) => {
+    const change = applyAt(lines, op, lineIndex, unit, endIndex);
+    lineOrigins.splice(change.at, change.removed, ...change.added.map(() => null));
+    index.splice(change.at, change.removed, change.added);
+    cursor = change.at + change.added.length;
+    scope = enclosingScope(lines, Math.min(change.at, lines.length - 1));
+    return change;
+  };
+
+  // Applies an op at each of `lineIndices` (ascending), bottom-up so the earlier indices
+  // stay valid; a spot overlapping one already patched is left out
+  const spliceAll = (op, lineIndices) => {
+    const size = opTargetLines(op).length;
+    const applied = [];
+    let removed = 0;
+    let added = [];
+    [...lineIndices].reverse().forEach(lineIndex => {
+      if (applied.length && lineIndex + size > applied[0]) return;
+      const change = splice(op, lineIndex);
+      applied.unshift(lineIndex);
+      removed += change.removed;
+      added = [...change.added, ...added];
+    });
+    return { lineIndex: applied[0], lineIndices: applied, removed, added };
+  };
+
+  // Once the user asks to skip the remaining ambiguous ops, stop asking
+  let skipRemaining = false;
+  const ask = async request => {
+    if (skipRemaining) return { lineIndex: null, skip: true };
+    const answer = await resolveAmbiguity(request);
+    if (answer && answer.skipRemaining) skipRemaining = true;
+    return answer;
+  };
+
+  // Lines of the ops either side of ops[i] in the script
+  const neighbours = i => [ops[i - 1], ops[i + 1]]
+    .filter(Boolean)
+    .flatMap(n => [...opTargetLines(n), ...(n.newLines || []), ...(n.toLines || [])]);
+  const warnings = [];
+
+  const notFound = (op, targetLines) => {
+    report.push({ op, status: 'not-found', lineIndex: null });
+    warnings.push(`${op.type.toUpperCase()}: no match for "${targetLines.join(' / ')}"`);
+  };
+
+  for (const [done, op] of ops.entries()) {
+    if (onProgress && done > 0) onProgress({ done, total: ops.length });
+    if (op.type === 'prepend' || op.type === 'append') {
+      const lineIndex = op.type === 'prepend' ? 0 : appendIndex(lines);
+      const { removed, added } = splice(op, lineIndex);
+      report.push({ op, status: 'applied', lineIndex, exact: true, removed, added });
+      continue;
+    }
+
+    const match = await locateBlock(lines, opTargetLines(op), op, ask, {
+      index,
+      unit,
+      rankContext: { cursor, scope, neighbours: neighbours(done) }
+    });
+    if (!match) {
+      notFound(op, opTargetLines(op));
+      continue;
+    }
+    if (match.skip) {
+      report.push({ op, status: 'skipped', lineIndex: null });
+      continue;
+    }
+
+    let end;
+    if (op.type === 'deleteRange') {
+      end = await locateRangeEnd(lines, op, match.lineIndex, ask, { index, unit });
+      if (!end) {
+        notFound(op, op.toLines);
+        continue;
+      }
+      if (end.skip) {
+        report.push({ op, status: 'skipped', lineIndex: null });
+        continue;
+      }
+    }
+
+    if (match.lineIndices) {
+      report.push({
+        op,
+        status: 'applied',
+        exact: match.exact,
+        similarity: match.similarity,
+        ...spliceAll(op, match.lineIndices)
+      });
+      continue;
+    }
+
+    const { removed, added } = splice(op, match.lineIndex, end && end.lineIndex);
+    const close = [match, end].filter(m => m && m.similarity !== undefined);
+    report.push({
+      op,
+      status: 'applied',
+      lineIndex: match.lineIndex,
+      endIndex: end ? end.lineIndex : undefined,
+      exact: match.exact && (!end || end.exact),
+      dist: (match.dist !== undefined || (end && end.dist !== undefined))
+        ? (match.dist || 0) + ((end && end.dist) || 0)
+        : undefined,
+      similarity: close.length ? Math.min(...close.map(m => m.similarity)) : undefined,
+      confidence: match.confidence,
+      autoAccepted: match.autoAccepted || (end && end.autoAccepted) || undefined,
+      removed,
+      added
+    });
+  }
+
+  if (onProgress) onProgress({ done: ops.length, total: ops.length });
+  return { text: lines.join('\n'), report, warnings, lineOrigins };
+}
+
+/**
+ * summarizeReport: what a run actually did, counting applied ops only
+ *   deletes  – lines removed by D- and DF-/DT-
+ *   replaces – M- ops applied
+ *   inserts  – lines added by AF+, BF+, TOP+ and END+
+ *   fuzzy / skipped / notFound – op counts per outcome
+ */
+export function summarizeReport(report) {
+  const summary = { deletes: 0, replaces: 0, inserts: 0, fuzzy: 0, skipped: 0, notFound: 0 };
+  report.forEach(entry => {
+    if (entry.status === 'skipped') summary.skipped++;
+    if (entry.status === 'not-found') summary.notFound++;
+    if (entry.status !== 'applied') return;
+    if (!entry.exact) summary.fuzzy++;
+    if (entry.op.type === 'replace') summary.replaces++;
+    else if (entry.op.type === 'delete' || entry.op.type === 'deleteRange') summary.deletes += entry.removed;
+    else summary.inserts += entry.added.length;
+  });
+  return summary;
+}
@@ -0,0 +1,229 @@
+import { applyLegend, summarizeReport } from './apply';
+
+const original = [
+  'function greet(name) {',
+  '  console.log("debug");',
+  '  return "hi " + name;',
+  '}'
+].join('\n');
+
+describe('applyLegend', () => {
+  it('applies delete, replace and insert ops', async () => {
+    const script = [
+      'D- console.log("debug");',
+      'M- return "hi " + name;',
+      'M+- return "hello " + name;',
+      'AF+ function greet(name) {',
+      'NAD+ if (!name) return null;'
+    ].join('\n');
+
+    const { text, report, warnings } = await applyLegend(original, script);
+
+    expect(text).toBe([
+      'function greet(name) {',
+      '  if (!name) return null;',
+      '  return "hello " + name;',
+      '}'
+    ].join('\n'));
+    expect(report.map(r => r.status)).toEqual(['applied', 'applied', 'applied']);
+    expect(warnings).toEqual([]);
+  });
+
+  it('reports ops whose target is missing', async () => {
+    const { text, report, warnings } = await applyLegend(original, 'D- totally unrelated line of code here');
+
+    expect(text).toBe(original);
+    expect(report[0].status).toBe('not-found');
+    expect(warnings).toHaveLength(1);
+  });
+
+  it('asks resolveAmbiguity when several lines match', async () => {
+    const resolveAmbiguity = jest.fn(({ choices }) => ({ lineIndex: choices[1].idx, skip: false }));
+
+    const { text, report } = await applyLegend('}\nfoo();\n}', 'D- }', { resolveAmbiguity });
+
+    expect(resolveAmbiguity).toHaveBeenCalledTimes(1);
+    expect(resolveAmbiguity.mock.calls[0][0].choices.map(c => c.idx)).toEqual([0, 2]);
+    expect(text).toBe('}\nfoo();');
+    expect(report[0]).toMatchObject({ status: 'applied', lineIndex: 2, exact: true });
+  });
+
+  it('sends each candidate with its surrounding code and a preview of the result', async () => {
+    const resolveAmbiguity = jest.fn(() => ({ lineIndex: null, skip: true }));
+
+    await applyLegend('a();\nreturn;\nb();\nreturn;', 'M- return;\nM+- return 1;', { resolveAmbiguity });
+
+    const [first] = resolveAmbiguity.mock.calls[0][0].choices;
+    expect(first.around).toEqual([
+      { lineNo: 1, text: 'a();', match: false },
+      { lineNo: 2, text: 'return;', match: true },
+      { lineNo: 3, text: 'b();', match: false },
+      { lineNo: 4, text: 'return;', match: false }
+    ]);
+    expect(first.preview).toEqual([
+      { text: 'a();', kind: 'context' },
+      { text: 'return;', kind: 'removed' },
+      { text: 'return 1;', kind: 'added' },
+      { text: 'b();', kind: 'context' },
+      { text: 'return;', kind: 'context' }
+    ]);
+  });
+
+  it('applies an op at every candidate when asked to', async () => {
+    const { text, report } = await applyLegend('}\nfoo();\n}', 'AF+ }\nNAD+ // end', {
+      resolveAmbiguity: () => ({ all: true })
+    });
+
+    expect(text).toBe('}\n// end\nfoo();\n}\n// end');
+    expect(report[0]).toMatchObject({ status: 'applied', lineIndices: [0, 2], added: ['// end', '// end'] });
+  });
+
+  it('skips every later ambiguous op once asked to skip the rest', async () => {
+    const resolveAmbiguity = jest.fn(() => ({ lineIndex: null, skip: true, skipRemaining: true }));
+
+    const { text, report } = await applyLegend('}\nfoo();\n}', 'D- }\n\nD- foo();\n\nD- }', { resolveAmbiguity });
+
+    expect(resolveAmbiguity).toHaveBeenCalledTimes(1);
+    expect(text).toBe('}\n}');
+    expect(report.map(r => r.status)).toEqual(['skipped', 'applied', 'skipped']);
+  });
+
+  it('auto-accepts the top-ranked candidate above the confidence setting', async () => {
+    const resolveAmbiguity = jest.fn();
+    const code = 'a();\nreturn;\nb();\nc();\nreturn;';
+    const script = 'D- c();\n\nD- return;';
+
+    const { text, report } = await applyLegend(code, script, { resolveAmbiguity, settings: { autoAccept: 60 } });
+
+    expect(resolveAmbiguity).not.toHaveBeenCalled();
+    expect(text).toBe('a();\nreturn;\nb();');
+    expect(report[1]).toMatchObject({ lineIndex: 3, autoAccepted: true });
+    expect(report[1].confidence).toBeGreaterThanOrEqual(60);
+  });
+
+  it('skips ambiguous ops when no resolver is given', async () => {
+    const { text, report } = await applyLegend('}\n}', 'D- }');
+
+    expect(text).toBe('}\n}');
+    expect(report[0].status).toBe('skipped');
+  });
+
+  it('reports progress after each op', async () => {
+    const onProgress = jest.fn();
+    await applyLegend(original, 'D- console.log("debug");\n\nD- }', { onProgress });
+    expect(onProgress.mock.calls.map(c => c[0])).toEqual([{ done: 1, total: 2 }, { done: 2, total: 2 }]);
+  });
+
+  it('accepts pre-parsed ops and records fuzzy distance', async () => {
+    const ops = [{ type: 'delete', oldLines: ['consol.log("debug");'] }];
+    const { report } = await applyLegend(original, ops, {
+      resolveAmbiguity: ({ choices }) => ({ lineIndex: choices[0].idx, skip: false })
+    });
+
+    expect(report[0]).toMatchObject({ status: 'applied', lineIndex: 1, exact: false, dist: 1 });
+  });
+
+  it('re-indents unindented new lines against the matched line', async () => {
+    const python = ['def area(r):', '    return 3.14 * r * r', '', 'print(area(2))'].join('\n');
+    const script = [
+      'AF+ def area(r):',
+      'NAD+ if r < 0:',
+      'NAD+ raise ValueError("negative")',
+      'M- return 3.14 * r * r',
+      'M+- return math.pi * r * r'
+    ].join('\n');
+
+    const { text } = await applyLegend(python, script);
+
+    expect(text).toBe([
+      'def area(r):',
+      '    if r < 0:',
+      '        raise ValueError("negative")',
+      '    return math.pi * r * r',
+      '',
+      'print(area(2))'
+    ].join('\n'));
+  });
+
+  it('keeps indentation written after the prefix', async () => {
+    const script = ['AF+ console.log("debug");', 'NAD+     // four spaces, not two'].join('\n');
+
+    const { text } = await applyLegend(original, script);
+
+    expect(text.split('\n')[2]).toBe('    // four spaces, not two');
+  });
+
+  it('matches multi-line blocks as one contiguous sequence', async () => {
+    const code = ['if (a) {', '  return;', '}', 'if (b) {', '  log(b);', '  return;', '}'].join('\n');
+    const script = ['D- log(b);', 'D- return;', '', 'AF+ if (a) {', 'AF+ return;', 'NAD+ a++;'].join('\n');
+
+    const { text, report } = await applyLegend(code, script);
+
+    expect(report.map(r => r.status)).toEqual(['applied', 'applied']);
+    expect(text).toBe(['if (a) {', '  return;', '  a++;', '}', 'if (b) {', '}'].join('\n'));
+  });
+
+  it('inserts before anchors and at both ends of the file', async () => {
+    const script = [
+      'BF+ return "hi " + name;', 'NAD+ name = name.trim();',
+      'TOP+', 'NAD+ // greet.js',
+      'END+', 'NAD+ module.exports = greet;'
+    ].join('\n');
+
+    const { text } = await applyLegend(original + '\n', script);
+
+    expect(text).toBe([
+      '// greet.js',
+      'function greet(name) {',
+      '  console.log("debug");',
+      '  name = name.trim();',
+      '  return "hi " + name;',
+      '}',
+      'module.exports = greet;',
+      ''
+    ].join('\n'));
+  });
+
+  it('deletes a range through the end anchor at the same indentation', async () => {
+    const code = [
+      'function keep() {}',
+      'function drop() {',
+      '  if (x) {',
+      '    y();',
+      '  }',
+      '}',
+      'keep();'
+    ].join('\n');
+
+    const { text, report } = await applyLegend(code, 'DF- function drop() {\nDT- }');
+
+    expect(text).toBe('function keep() {}\nkeep();');
+    expect(report[0]).toMatchObject({ status: 'applied', lineIndex: 1, endIndex: 5 });
+  });
+});
+
+describe('summarizeReport', () => {
+  it('counts only what actually happened', async () => {
+    const script = [
+      'D- console.log("debug");',
+      '',
+      'D- nowhere to be found in this file',
+      '',
+      'AF+ }',
+      'NAD+ one();',
+      'NAD+ two();',
+      '',
+      'M- retrn "hi " + name;',
+      'M+- return name;'
+    ].join('\n');
+
+    const { report } = await applyLegend(original, script, {
+      resolveAmbiguity: ({ choices }) => ({ lineIndex: choices[0].idx, skip: false })
+    });
+
+    expect(report.map(r => r.status)).toEqual(['applied', 'not-found', 'applied', 'applied']);
+    expect(summarizeReport(report)).toEqual({
+      deletes: 1, replaces: 1, inserts: 2, fuzzy: 1, skipped: 0, notFound: 1
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// FILE: src/legend/describe.js
+
+/* ------------------ Describing Ops ------------------ */
+
+const OP_TITLES = {
+  insertBefore: 'INSERT BEFORE',
+  deleteRange: 'DELETE RANGE'
+};
+
+export function opTitle(op) {
+  return OP_TITLES[op.type] || op.type.toUpperCase();
+}
+
+// Preview lines for an op: '- ' removed, '+ ' added, '  ' context (anchors, markers)
+export function opPreviewLines(op) {
+  const lines = [];
+  const removed = ls => ls.forEach(l => lines.push('- ' + l));
+  const added = ls => ls.forEach(l => lines.push('+ ' + l));
+  const context = ls => ls.forEach(l => lines.push('  ' + l));
+
+  if (op.type === 'delete') removed(op.oldLines);
+  if (op.type === 'replace') {
+    const { before = 0, after = 0 } = op.context || {};
+    context(op.oldLines.slice(0, before));
+    removed(op.oldLines.slice(before, op.oldLines.length - after));
+    added(op.newLines.slice(before, op.newLines.length - after));
+    context(op.oldLines.slice(op.oldLines.length - after));
+  }
+  if (op.type === 'insert') {
+    context(op.anchorLines);
+    added(op.newLines);
+  }
+  if (op.type === 'insertBefore') {
+    added(op.newLines);
+    context(op.anchorLines);
+  }
+  if (op.type === 'prepend') {
+    context(['(top of file)']);
+    added(op.newLines);
+  }
+  if (op.type === 'append') {
+    added(op.newLines);
+    context(['(end of file)']);
+  }
+  if (op.type === 'deleteRange') {
+    removed(op.fromLines);
+    context(['⋮']);
+    removed(op.toLines);
+  }
+  return lines;
+}
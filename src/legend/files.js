@@ -0,0 +1,95 @@
+// FILE: src/legend/files.js
+
+import { applyLegend } from './apply';
+
+/* ------------------ Multi-file Scripts ------------------ */
+
+// `FILE: path`, also written as a `// FILE: path` or `# FILE: path` comment
+const FILE_HEADER = /^\s*(?:(?:\/\/|#)\s*)?FILE:\s*(.+?)\s*$/i;
+
+/**
+ * splitScriptByFile: cuts a Legend script into per-file sections at FILE: headers
+ *   Lines before the first header belong to a section with path null.
+ *   Returns [{ path, script }] in script order; empty sections are dropped.
+ */
+export function splitScriptByFile(script) {
+  const sections = [];
+  let current = { path: null, lines: [] };
+  script.split('\n').forEach(line => {
+    const header = line.match(FILE_HEADER);
+    if (header) {
+      sections.push(current);
+      current = { path: header[1], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  sections.push(current);
+
+  return sections
+    .filter(s => s.path !== null || s.lines.some(l => l.trim()))
+    .map(s => ({ path: s.path, script: s.lines.join('\n') }));
+}
+
+/**
+ * findFileForPath: which workspace path a FILE: header refers to
+ *   exact path first, then a unique suffix match either way round
+ *   (`src/App.jsx` ↔ `my-project/src/App.jsx`). Null when none or ambiguous.
+ */
+export function findFileForPath(paths, wanted) {
+  const norm = p => p.replace(/\\/g, '/').replace(/^\.?\//, '');
+  const target = norm(wanted);
+  const exact = paths.find(p => norm(p) === target);
+  if (exact) return exact;
+
+  const suffix = paths.filter(p => {
+    const path = norm(p);
+    return path.endsWith('/' + target) || target.endsWith('/' + path);
+  });
+  return suffix.length === 1 ? suffix[0] : null;
+}
+
+/**
+ * applyLegendToFiles: applies a multi-file Legend script to a set of files
+ *   files       – [{ path, text }]
+ *   script      – Legend script with FILE: sections
+ *   defaultPath – file that lines before the first FILE: header apply to
+ *   resolveAmbiguity – as for applyLegend, with the file's `path` added to the request
+ *   apply       – the applyLegend to use per file (e.g. applyLegendInWorker)
+ *   settings    – matching settings, passed on to `apply`
+ *
+ * Every section for the same file is applied in one run, in script order.
+ * Returns { results, warnings } with one result per touched file:
+ *   { path, original, text, report, warnings, lineOrigins }
+ */
+export async function applyLegendToFiles(
+  files,
+  script,
+  { defaultPath = null, resolveAmbiguity, apply = applyLegend, settings } = {}
+) {
+  const paths = files.map(f => f.path);
+  const byPath = new Map();
+  const warnings = [];
+
+  splitScriptByFile(script).forEach(section => {
+    const path = section.path === null ? defaultPath : findFileForPath(paths, section.path);
+    if (!path) {
+      warnings.push(section.path === null
+        ? 'Script lines before the first FILE: header have no file to apply to'
+        : `FILE: ${section.path} does not match exactly one open file`);
+      return;
+    }
+    byPath.set(path, [...(byPath.get(path) || []), section.script]);
+  });
+
+  const results = [];
+  for (const [path, scripts] of byPath) {
+    const original = files.find(f => f.path === path).text;
+    const run = await apply(original, scripts.join('\n\n'), {
+      resolveAmbiguity: resolveAmbiguity && (request => resolveAmbiguity({ ...request, path })),
+      settings
+    });
+    results.push({ path, original, ...run });
+  }
+  return { results, warnings };
+}
@@ -0,0 +1,41 @@
+import { splitScriptByFile, findFileForPath, applyLegendToFiles } from './files';
+
+describe('splitScriptByFile', () => {
+  it('cuts at FILE: headers in any of the comment styles', () => {
+    expect(splitScriptByFile('D- a\nFILE: x.js\nD- b\n// FILE: y.js\nD- c\n# FILE: z.py\nD- d')).toEqual([
+      { path: null, script: 'D- a' },
+      { path: 'x.js', script: 'D- b' },
+      { path: 'y.js', script: 'D- c' },
+      { path: 'z.py', script: 'D- d' }
+    ]);
+  });
+});
+
+describe('findFileForPath', () => {
+  const paths = ['proj/src/App.jsx', 'proj/src/index.js', 'proj/lib/index.js'];
+
+  it('matches exactly or by a unique path suffix', () => {
+    expect(findFileForPath(paths, 'proj/src/App.jsx')).toBe('proj/src/App.jsx');
+    expect(findFileForPath(paths, './src/App.jsx')).toBe('proj/src/App.jsx');
+    expect(findFileForPath(paths, 'index.js')).toBeNull();
+    expect(findFileForPath(paths, 'missing.js')).toBeNull();
+  });
+});
+
+describe('applyLegendToFiles', () => {
+  it('patches each file from its own sections and reports unknown ones', async () => {
+    const files = [
+      { path: 'a.js', text: 'one\ntwo' },
+      { path: 'b.js', text: 'three\nfour' }
+    ];
+    const script = 'FILE: a.js\nD- one\n\nFILE: c.js\nD- x\n\nFILE: b.js\nM- four\nM+- 4\n\nFILE: a.js\nAF+ two\nNAD+ 2';
+
+    const { results, warnings } = await applyLegendToFiles(files, script);
+
+    expect(results.map(r => [r.path, r.text])).toEqual([
+      ['a.js', 'two\n2'],
+      ['b.js', 'three\n4']
+    ]);
+    expect(warnings).toEqual(['FILE: c.js does not match exactly one open file']);
+  });
+});
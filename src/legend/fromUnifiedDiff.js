@@ -0,0 +1,117 @@
+// FILE: src/legend/fromUnifiedDiff.js
+
+import { parsePatch } from 'diff';
+
+/* ------------------ Unified Diff → Legend ------------------ */
+
+// Context lines used as an AF+ / BF+ anchor for a pure insertion
+const ANCHOR_LINES = 3;
+
+// `a/src/App.jsx` → `src/App.jsx`
+function stripGitPrefix(name) {
+  return (name || '').replace(/^[ab]\//, '');
+}
+
+/**
+ * hunkToOps: splits one hunk into runs of changes separated by context lines
+ *   - lines, with or without + lines → replace. The context around the run is repeated
+ *   verbatim on both sides, so the block matches in one place only (a bare `D- ` for a deleted
+ *   blank line would match every blank line) while the file keeps its own version of those
+ *   lines (see parseCommands). Without any context (`git diff -U0`) it stays a plain replace
+ *   or delete.
+ *   + lines only → insert anchored on the context just before it (or just after it when the
+ *   hunk opens with the insert). One with no context at all can only be placed at the top of
+ *   the file; anywhere else it is reported through `warn` and left out.
+ */
+function hunkToOps(hunk, warn) {
+  const ops = [];
+  const lines = hunk.lines.filter(l => !l.startsWith('\\'));
+  let context = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].startsWith(' ')) {
+      context.push(lines[i].slice(1));
+      i++;
+      continue;
+    }
+
+    const oldLines = [];
+    const newLines = [];
+    while (i < lines.length && !lines[i].startsWith(' ')) {
+      (lines[i].startsWith('-') ? oldLines : newLines).push(lines[i].slice(1));
+      i++;
+    }
+    const before = context.slice(-ANCHOR_LINES);
+    const following = [];
+    for (let j = i; j < lines.length && lines[j].startsWith(' ') && following.length < ANCHOR_LINES; j++) {
+      following.push(lines[j].slice(1));
+    }
+
+    if (oldLines.length && (newLines.length || before.length || following.length)) {
+      ops.push({
+        type: 'replace',
+        oldLines: [...before, ...oldLines, ...following],
+        newLines: [...before, ...newLines, ...following]
+      });
+    } else if (oldLines.length) {
+      ops.push({ type: 'delete', oldLines });
+    } else if (before.length) {
+      ops.push({ type: 'insert', anchorLines: before, newLines });
+    } else if (following.length) {
+      ops.push({ type: 'insertBefore', anchorLines: following, newLines });
+    } else if (hunk.oldStart <= 1) {
+      ops.push({ type: 'prepend', newLines });
+    } else {
+      warn(`@@ -${hunk.oldStart - 1},0 @@ adds lines without any context to anchor them on; ` +
+        'it was left out (make the diff with context, e.g. git diff -U3)');
+    }
+    context = [];
+  }
+  return ops;
+}
+
+// Writes ops back out as Legend script lines
+function opToScript(op) {
+  const block = (prefix, ls) => ls.map(l => `${prefix} ${l}`);
+  if (op.type === 'delete') return block('D-', op.oldLines);
+  if (op.type === 'replace') return [...block('M-', op.oldLines), ...block('M+-', op.newLines)];
+  if (op.type === 'insert') return [...block('AF+', op.anchorLines), ...block('NAD+', op.newLines)];
+  if (op.type === 'insertBefore') return [...block('BF+', op.anchorLines), ...block('NAD+', op.newLines)];
+  return ['TOP+', ...block('NAD+', op.newLines)];
+}
+
+/**
+ * unifiedDiffToLegend: converts `git diff` / unified diff text into a Legend script
+ *   Context lines become anchors, so the result still applies when the file has
+ *   drifted from what the diff was made against. Each file's section starts with a
+ *   `// FILE: path` comment; ops are separated by blank lines so blocks don't merge.
+ *
+ * Returns { script, files, sections, ops, warnings } – `files` lists the paths in the diff,
+ * `sections` each file's part of the script as { path, script }, `ops` the op count and
+ * `warnings` the hunks that could not be converted. Throws when the text has no hunks.
+ */
+export function unifiedDiffToLegend(diffText) {
+  const patches = parsePatch(diffText).filter(p => p.hunks.length);
+  if (!patches.length) {
+    throw new Error('No hunks found – expected unified diff text with @@ lines');
+  }
+
+  const sections = [];
+  const warnings = [];
+  let count = 0;
+  patches.forEach(p => {
+    const path = stripGitPrefix(p.newFileName === '/dev/null' ? p.oldFileName : p.newFileName);
+    const ops = p.hunks.flatMap(hunk => hunkToOps(hunk, message => warnings.push(`${path}: ${message}`)));
+    count += ops.length;
+    sections.push({ path, script: [`// FILE: ${path}`, ...ops.map(op => opToScript(op).join('\n'))].join('\n\n') });
+  });
+
+  return {
+    script: sections.map(section => section.script).join('\n\n'),
+    files: sections.map(section => section.path),
+    sections,
+    ops: count,
+    warnings
+  };
+}
@@ -0,0 +1,155 @@
+import { unifiedDiffToLegend } from './fromUnifiedDiff';
+import { applyLegend } from './apply';
+
+const diffText = [
+  'diff --git a/src/greet.js b/src/greet.js',
+  '--- a/src/greet.js',
+  '+++ b/src/greet.js',
+  '@@ -1,6 +1,7 @@',
+  ' function greet(name) {',
+  '-  console.log("debug");',
+  '+  if (!name) {',
+  '+    return null;',
+  '+  }',
+  '   return "hi " + name;',
+  ' }',
+  '-',
+  ' export default greet;',
+  ''
+].join('\n');
+
+describe('unifiedDiffToLegend', () => {
+  it('turns hunks into replace ops with their context folded in', () => {
+    const { script, files, ops, warnings } = unifiedDiffToLegend(diffText);
+
+    expect(files).toEqual(['src/greet.js']);
+    expect(ops).toBe(2);
+    expect(warnings).toEqual([]);
+    expect(script).toBe([
+      '// FILE: src/greet.js',
+      '',
+      'M- function greet(name) {',
+      'M-   console.log("debug");',
+      'M-   return "hi " + name;',
+      'M- }',
+      'M+- function greet(name) {',
+      'M+-   if (!name) {',
+      'M+-     return null;',
+      'M+-   }',
+      'M+-   return "hi " + name;',
+      'M+- }',
+      '',
+      'M-   return "hi " + name;',
+      'M- }',
+      'M- ',
+      'M- export default greet;',
+      'M+-   return "hi " + name;',
+      'M+- }',
+      'M+- export default greet;'
+    ].join('\n'));
+  });
+
+  it('deletes the right blank line in a file full of them', async () => {
+    const original = ['a', '', 'b', '', '', 'c', '', 'd'].join('\n');
+    const { script } = unifiedDiffToLegend([
+      '--- a/x.txt',
+      '+++ b/x.txt',
+      '@@ -3,4 +3,3 @@',
+      ' b',
+      ' ',
+      '-',
+      ' c'
+    ].join('\n'));
+
+    const { text } = await applyLegend(original, script);
+
+    expect(text).toBe(['a', '', 'b', '', 'c', '', 'd'].join('\n'));
+  });
+
+  it('changes only the diff\'s changed lines of flush-left text', async () => {
+    const { script } = unifiedDiffToLegend([
+      '--- a/config.yml',
+      '+++ b/config.yml',
+      '@@ -1,3 +1,3 @@',
+      ' a:',
+      '-b: 1',
+      '+b: 3',
+      ' c: 2'
+    ].join('\n'));
+
+    const { text, report } = await applyLegend('a:\nb: 1\nc: 2\n', script);
+
+    expect(text).toBe('a:\nb: 3\nc: 2\n');
+    expect(report[0]).toMatchObject({ lineIndex: 0, removed: 1, added: ['b: 3'] });
+  });
+
+  it('keeps a tab-indented file\'s own whitespace when the diff has spaces', async () => {
+    const { script } = unifiedDiffToLegend([
+      '--- a/f.js',
+      '+++ b/f.js',
+      '@@ -1,4 +1,7 @@',
+      ' function f(a) {',
+      '-    const b = a;',
+      '+    if (!a) {',
+      '+        return 0;',
+      '+    }',
+      '+    const b = a + 1;',
+      '     return b;',
+      ' }'
+    ].join('\n'));
+    const drifted = 'function f(a) {  \n\tconst b = a;\n\treturn b;\t\n}\n';
+
+    const { text } = await applyLegend(drifted, script);
+
+    expect(text).toBe('function f(a) {  \n\tif (!a) {\n\t\treturn 0;\n\t}\n\tconst b = a + 1;\n\treturn b;\t\n}\n');
+  });
+
+  it('keeps context-free insertions in place or reports them', () => {
+    const { script, warnings } = unifiedDiffToLegend([
+      '--- a/x.js',
+      '+++ b/x.js',
+      '@@ -0,0 +1 @@',
+      '+// top',
+      '@@ -4,0 +6 @@',
+      '+inserted'
+    ].join('\n'));
+
+    expect(script).toBe('// FILE: x.js\n\nTOP+\nNAD+ // top');
+    expect(warnings).toEqual([
+      'x.js: @@ -4,0 @@ adds lines without any context to anchor them on; ' +
+        'it was left out (make the diff with context, e.g. git diff -U3)'
+    ]);
+  });
+
+  it('anchors pure insertions on the preceding context', () => {
+    const { script } = unifiedDiffToLegend([
+      '--- a/x.py',
+      '+++ b/x.py',
+      '@@ -1,2 +1,3 @@',
+      ' import os',
+      '+import sys',
+      ' print(os)'
+    ].join('\n'));
+
+    expect(script).toBe('// FILE: x.py\n\nAF+ import os\nNAD+ import sys');
+  });
+
+  it('produces a script that applies to drifted code', async () => {
+    const drifted = [
+      '// greet.js, with a header the diff never saw',
+      'function greet(name) {',
+      '  console.log("debug");',
+      '  return "hi " + name;',
+      '}',
+      'export default greet;'
+    ].join('\n');
+
+    const { text } = await applyLegend(drifted, unifiedDiffToLegend(diffText).script);
+
+    expect(text).toContain('  if (!name) {\n    return null;\n  }\n  return "hi " + name;');
+  });
+
+  it('rejects text without hunks', () => {
+    expect(() => unifiedDiffToLegend('not a diff')).toThrow(/No hunks/);
+  });
+});
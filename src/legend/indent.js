@@ -0,0 +1,102 @@
+// FILE: src/legend/indent.js
+
+/* ------------------ Indentation ------------------ */
+
+// Lines that open a block: `{`, `(`, `[` in C-like code, `:` in Python
+const OPENS_BLOCK = /[{([:]$/;
+// Lines that close a block
+const CLOSES_BLOCK = /^[}\])]/;
+
+export function leadingWhitespace(line) {
+  return line.match(/^\s*/)[0];
+}
+
+/**
+ * detectIndentUnit: guesses one level of indentation for a file
+ *   - tabs if any line is tab-indented
+ *   - otherwise the smallest non-zero run of leading spaces
+ *   - two spaces when the file is flat
+ */
+export function detectIndentUnit(lines) {
+  let smallest = 0;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const ws = leadingWhitespace(line);
+    if (ws.startsWith('\t')) return '\t';
+    if (ws.length && (!smallest || ws.length < smallest)) smallest = ws.length;
+  }
+  return ' '.repeat(smallest || 2);
+}
+
+// Indentation the first line after `anchorIndex` should get
+function indentAfter(lines, anchorIndex, unit) {
+  const anchor = lines[anchorIndex];
+  const base = leadingWhitespace(anchor);
+  if (!OPENS_BLOCK.test(anchor.trim())) return base;
+
+  // Opening a block: follow the existing body if there is one, else go one level deeper
+  const next = lines.slice(anchorIndex + 1).find(l => l.trim());
+  if (next && leadingWhitespace(next).length > base.length) return leadingWhitespace(next);
+  return base + unit;
+}
+
+/**
+ * fitIndentation: places a block of new lines at `base` indentation
+ *   - first line indented => the script spelled the indentation out, keep every line verbatim
+ *     (later lines may still sit further left, e.g. the `}` closing the enclosing function)
+ *   - first line flush left, others indented => indentation is relative, shift the block onto `base`
+ *   - nothing indented at all => also nest by brace/colon depth inside the block
+ */
+export function fitIndentation(newLines, base, unit) {
+  const content = newLines.filter(l => l.trim());
+  if (!content.length) return newLines;
+
+  const indents = content.map(l => leadingWhitespace(l).length);
+  if (indents[0] > 0) return newLines;
+
+  if (Math.max(...indents) > 0) {
+    return newLines.map(l => (l.trim() ? base + l : l));
+  }
+
+  let depth = 0;
+  return newLines.map(l => {
+    const trimmed = l.trim();
+    if (!trimmed) return '';
+    if (CLOSES_BLOCK.test(trimmed)) depth = Math.max(0, depth - 1);
+    const out = base + unit.repeat(depth) + trimmed;
+    if (OPENS_BLOCK.test(trimmed)) depth++;
+    return out;
+  });
+}
+
+/**
+ * reindentFrom: moves lines written against indentation `written` onto `actual`, what the
+ * file really has there (a diff made with spaces applied to a tab-indented file, say)
+ *   Deeper levels are converted from `writtenUnit` to `unit` when they are whole levels;
+ *   lines that don't start with `written` are kept as they are.
+ */
+export function reindentFrom(newLines, written, actual, writtenUnit, unit) {
+  return newLines.map(l => {
+    if (!l.trim() || !l.startsWith(written)) return l;
+    const rest = l.slice(written.length);
+    const extra = leadingWhitespace(rest);
+    const levels = extra.length / writtenUnit.length;
+    const deeper = Number.isInteger(levels) && extra === writtenUnit.repeat(levels) ? unit.repeat(levels) : extra;
+    return actual + deeper + rest.slice(extra.length);
+  });
+}
+
+// New lines for an insert after `anchorIndex`
+export function indentForInsert(newLines, lines, anchorIndex, unit) {
+  return fitIndentation(newLines, indentAfter(lines, anchorIndex, unit), unit);
+}
+
+// New lines replacing the line at `lineIndex`
+export function indentForReplace(newLines, lines, lineIndex, unit) {
+  return fitIndentation(newLines, leadingWhitespace(lines[lineIndex]), unit);
+}
+
+// New lines inserted before the line at `anchorIndex`
+export function indentForInsertBefore(newLines, lines, anchorIndex, unit) {
+  return fitIndentation(newLines, leadingWhitespace(lines[anchorIndex]), unit);
+}
@@ -0,0 +1,32 @@
+import { detectIndentUnit, fitIndentation } from './indent';
+
+describe('detectIndentUnit', () => {
+  it('prefers tabs, then the smallest space run, then two spaces', () => {
+    expect(detectIndentUnit(['a', '\tb'])).toBe('\t');
+    expect(detectIndentUnit(['a', '        b', '    c'])).toBe('    ');
+    expect(detectIndentUnit(['a', 'b'])).toBe('  ');
+  });
+});
+
+describe('fitIndentation', () => {
+  it('nests flat blocks by brace depth', () => {
+    expect(fitIndentation(['if (x) {', 'y();', '}'], '  ', '  ')).toEqual([
+      '  if (x) {',
+      '    y();',
+      '  }'
+    ]);
+  });
+
+  it('shifts relatively indented blocks onto the base', () => {
+    expect(fitIndentation(['if x:', '    y()'], '    ', '    ')).toEqual(['    if x:', '        y()']);
+  });
+
+  it('keeps blocks whose first line is indented verbatim, even with flush-left lines', () => {
+    const block = ['  return y;', '}', 'function g() {', '  return 1;', '}'];
+    expect(fitIndentation(block, '  ', '  ')).toEqual(block);
+  });
+
+  it('keeps fully indented blocks verbatim', () => {
+    expect(fitIndentation(['      a', '    b'], '  ', '  ')).toEqual(['      a', '    b']);
+  });
+});
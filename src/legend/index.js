@@ -0,0 +1,19 @@
+// FILE: src/legend/index.js
+
+export { normalize, levenshtein, levenshteinWithin, codeTokens, jaccard } from './normalize';
+export { DEFAULT_MATCH_SETTINGS, resolveMatchSettings, describeMatchSettings } from './settings';
+export {
+  createLineIndex,
+  findAllFuzzyMatches,
+  findLineMatches,
+  findBlockMatches,
+  DEFAULT_MAX_CANDIDATES
+} from './match';
+export { parseCommands, parseScript, scanScript } from './parse';
+export { rankCandidates, enclosingScope } from './rank';
+export { applyLegend, opTargetLines, summarizeReport } from './apply';
+export { buildAnnotatedResult, composeOrigins, carryOrigins } from './annotate';
+export { mergeThreeWay, countConflicts } from './merge';
+export { unifiedDiffToLegend } from './fromUnifiedDiff';
+export { splitScriptByFile, findFileForPath, applyLegendToFiles } from './files';
+export { opTitle, opPreviewLines } from './describe';
@@ -0,0 +1,44 @@
+// FILE: src/legend/legend.worker.js
+
+import { applyLegend } from './apply';
+
+/* ------------------ Apply Worker ------------------ */
+
+// Protocol (see workerClient.js):
+//   in:  { type: 'apply', id, original, script, settings }  |  { type: 'answer', requestId, answer }
+//   out: { type: 'progress', id, progress }  |  { type: 'ambiguity', id, requestId, request }
+//        { type: 'done', id, result }  |  { type: 'error', id, message }
+
+// The worker's global scope (package.json's eslintConfig sets the worker env for *.worker.js)
+const ctx = self;
+
+const waitingAnswers = new Map(); // requestId → resolve
+let nextRequestId = 0;
+
+ctx.onmessage = async ({ data }) => {
+  if (data.type === 'answer') {
+    const resolve = waitingAnswers.get(data.requestId);
+    waitingAnswers.delete(data.requestId);
+    if (resolve) resolve(data.answer);
+    return;
+  }
+  if (data.type !== 'apply') return;
+
+  const { id, original, script, settings } = data;
+
+  // The page owns the choice dialog: ship the question over and wait for its answer.
+  // `lines` stays here – the dialog only needs the candidates.
+  const resolveAmbiguity = ({ op, target, choices }) => new Promise(resolve => {
+    const requestId = nextRequestId++;
+    waitingAnswers.set(requestId, resolve);
+    ctx.postMessage({ type: 'ambiguity', id, requestId, request: { op, target, choices } });
+  });
+  const onProgress = progress => ctx.postMessage({ type: 'progress', id, progress });
+
+  try {
+    const result = await applyLegend(original, script, { resolveAmbiguity, onProgress, settings });
+    ctx.postMessage({ type: 'done', id, result });
+  } catch (err) {
+    ctx.postMessage({ type: 'error', id, message: err.message });
+  }
+};
@@ -0,0 +1,153 @@
+// FILE: src/legend/match.js
+
+import { normalize, levenshteinWithin, codeTokens, jaccard } from './normalize';
+import { resolveMatchSettings, DEFAULT_MATCH_SETTINGS } from './settings';
+
+// Close matches offered per op unless the settings say otherwise
+export const DEFAULT_MAX_CANDIDATES = DEFAULT_MATCH_SETTINGS.maxCandidates;
+
+/* ------------------ Line Index ------------------ */
+
+/**
+ * createLineIndex: normalized lines plus a hash from normalized text to positions
+ *   norms                – normalized copy of every line
+ *   settings             – the matching settings the lines were normalized with
+ *   positions(norm)      – ascending indices of lines equal to `norm`
+ *   tokens(i)            – code-token set of line i (for token similarity)
+ *   splice(at, n, added) – mirrors lines.splice so the index survives edits
+ * The hash is rebuilt lazily after a splice; nothing is ever normalized twice.
+ */
+export function createLineIndex(lines, settings) {
+  const resolved = resolveMatchSettings(settings);
+  const norms = lines.map(l => normalize(l, resolved));
+  const tokenSets = [];
+  let byNorm = null;
+
+  return {
+    norms,
+    settings: resolved,
+    positions(norm) {
+      if (!byNorm) {
+        byNorm = new Map();
+        norms.forEach((n, i) => {
+          if (!byNorm.has(n)) byNorm.set(n, []);
+          byNorm.get(n).push(i);
+        });
+      }
+      return byNorm.get(norm) || [];
+    },
+    tokens(i) {
+      if (!tokenSets[i]) tokenSets[i] = new Set(codeTokens(norms[i]));
+      return tokenSets[i];
+    },
+    splice(at, removed, added) {
+      norms.splice(at, removed, ...added.map(l => normalize(l, resolved)));
+      tokenSets.splice(at, removed, ...added.map(() => undefined));
+      byNorm = null;
+    }
+  };
+}
+
+/* ------------------ Line Matching ------------------ */
+
+// Find all exact fuzzy matches by normalized equality
+export function findAllFuzzyMatches(lines, targetNorm, settings) {
+  return createLineIndex(lines, settings).positions(targetNorm);
+}
+
+// Inserts `candidate` into `list` (best first by `worse`), keeping at most `max` entries
+function keepBest(list, candidate, max, worse) {
+  let at = list.length;
+  while (at > 0 && worse(list[at - 1], candidate)) at--;
+  list.splice(at, 0, candidate);
+  if (list.length > max) list.pop();
+}
+
+// Close windows by summed edit distance, banded to what can still make the list
+function closeByDistance(lines, index, targetNorms, from, starts, settings) {
+  const size = targetNorms.length;
+  const targetLength = targetNorms.reduce((sum, t) => sum + t.length, 0);
+  let bound = Math.floor(targetLength * (100 - settings.threshold) / 100);
+  if (settings.threshold < 100) bound = bound || 1;
+
+  // Once the list is full, only strictly better windows can get in, so the band shrinks
+  const close = [];
+  for (let i = from; i < starts && bound >= 0; i++) {
+    let dist = 0;
+    for (let k = 0; k < size && dist <= bound; k++) {
+      dist += levenshteinWithin(index.norms[i + k], targetNorms[k], bound - dist);
+    }
+    if (dist > bound) continue;
+
+    const similarity = Math.round(100 * (1 - dist / Math.max(targetLength, 1)));
+    const text = lines.slice(i, i + size).join('\n');
+    keepBest(close, { idx: i, length: size, text, dist, similarity }, settings.maxCandidates, (a, b) => a.dist > b.dist);
+    if (close.length === settings.maxCandidates) bound = close[close.length - 1].dist - 1;
+  }
+  return close;
+}
+
+// Close windows by Jaccard overlap of their code tokens
+function closeByTokens(lines, index, targetNorms, from, starts, settings) {
+  const size = targetNorms.length;
+  const target = new Set(targetNorms.flatMap(codeTokens));
+
+  const close = [];
+  for (let i = from; i < starts; i++) {
+    const window = new Set();
+    for (let k = 0; k < size; k++) index.tokens(i + k).forEach(t => window.add(t));
+    const similarity = Math.round(100 * jaccard(target, window));
+    if (similarity < settings.threshold) continue;
+
+    const text = lines.slice(i, i + size).join('\n');
+    keepBest(close, { idx: i, length: size, text, similarity }, settings.maxCandidates, (a, b) => a.similarity < b.similarity);
+  }
+  return close;
+}
+
+/**
+ * findBlockMatches: like findLineMatches, but for a contiguous run of lines
+ * 1) exact: every start index where each line of the block matches by normalized equality
+ *    (looked up through the line index, then verified line by line)
+ * 2) if none found and not in strict mode, "close" windows at or above the similarity threshold
+ *    - edit distance: banded to the threshold, a window is dropped as soon as it exceeds it
+ *    - tokens: Jaccard overlap of the window's code tokens with the block's
+ *    - only the `maxCandidates` best windows are kept, best first
+ *    - results are { idx, length, text, similarity, dist? }; `text` is the window joined
+ *      with newlines, `dist` only for edit distance
+ * Matching the whole sequence is what keeps generic lines like `}` from hitting the wrong place.
+ *   from     – ignore matches starting before this line
+ *   index    – a createLineIndex(lines, settings) to reuse across calls
+ *   settings – matching settings (see settings.js); taken from `index` when given
+ */
+export function findBlockMatches(lines, targetLines, { from = 0, index, settings } = {}) {
+  const idx = index || createLineIndex(lines, settings);
+  const s = idx.settings;
+  const targetNorms = targetLines.map(l => normalize(l, s));
+  const size = targetNorms.length;
+  const starts = Math.max(0, lines.length - size + 1);
+
+  const exact = idx.positions(targetNorms[0]).filter(i =>
+    i >= from && i < starts && targetNorms.every((t, k) => idx.norms[i + k] === t)
+  );
+  if (exact.length > 0 || s.strict) {
+    return { exact, close: [] };
+  }
+
+  const close = s.similarity === 'tokens'
+    ? closeByTokens(lines, idx, targetNorms, from, starts, s)
+    : closeByDistance(lines, idx, targetNorms, from, starts, s);
+  return { exact: [], close };
+}
+
+/**
+ * findLineMatches:
+ * 1) find all exact fuzzy matches
+ * 2) if none found, find lines that are “close” by Levenshtein distance
+ *    - We measure distance on the normalized text
+ *    - We store them in ascending distance order
+ */
+export function findLineMatches(lines, target, settings) {
+  const { exact, close } = findBlockMatches(lines, [target], { settings });
+  return { exact, close: close.map(({ idx, text, dist, similarity }) => ({ idx, text, dist, similarity })) };
+}
@@ -0,0 +1,96 @@
+import { findLineMatches, findBlockMatches, createLineIndex } from './match';
+import { normalize, levenshtein, levenshteinWithin } from './normalize';
+
+describe('normalize', () => {
+  it('ignores case, indentation, repeated spaces and zero-width chars', () => {
+    expect(normalize('   Const  A =\u200B 1; ')).toBe('const a = 1;');
+  });
+});
+
+describe('levenshtein', () => {
+  it('computes edit distance', () => {
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+    expect(levenshtein('', 'abc')).toBe(3);
+  });
+});
+
+describe('findLineMatches', () => {
+  const lines = ['function foo() {', '  return 1;', '}', 'return 1;'];
+
+  it('returns every exact normalized match', () => {
+    expect(findLineMatches(lines, 'RETURN 1;')).toEqual({ exact: [1, 3], close: [] });
+  });
+
+  it('falls back to close matches sorted by distance', () => {
+    const { exact, close } = findLineMatches(lines, 'function fooo() {');
+    expect(exact).toEqual([]);
+    expect(close[0]).toEqual({ idx: 0, text: 'function foo() {', dist: 1, similarity: 94 });
+  });
+});
+
+describe('findBlockMatches', () => {
+  const lines = ['}', 'return;', '}', 'foo();', 'return;', '}'];
+
+  it('only reports starts where the whole block matches', () => {
+    expect(findBlockMatches(lines, ['foo();', 'return;', '}'])).toEqual({ exact: [3], close: [] });
+  });
+
+  it('keeps only the closest maxCandidates windows', () => {
+    const many = ['fooo();', 'fo();', 'foo;', 'xfoo();'];
+    const { close } = findBlockMatches(many, ['foo();'], { settings: { maxCandidates: 2 } });
+    expect(close.map(c => c.idx)).toEqual([0, 1]);
+  });
+
+  it('sums distances across the window for close matches', () => {
+    const { close } = findBlockMatches(lines, ['fooo();', 'return;']);
+    expect(close[0]).toMatchObject({ idx: 3, length: 2, dist: 1, text: 'foo();\nreturn;' });
+  });
+});
+
+describe('matching settings', () => {
+  const lines = ['const Total = a + b;', 'let  x = 1;', 'return total;'];
+
+  it('compares case and inner whitespace only when asked to', () => {
+    expect(findBlockMatches(lines, ['const total = a + b;']).exact).toEqual([0]);
+    expect(findBlockMatches(lines, ['const total = a + b;'], { settings: { caseSensitive: true } }).exact).toEqual([]);
+    expect(findBlockMatches(lines, ['let x = 1;'], { settings: { whitespaceExact: true } }).exact).toEqual([]);
+  });
+
+  it('offers no close matches in strict mode', () => {
+    expect(findBlockMatches(lines, ['return totals;'], { settings: { strict: true } })).toEqual({ exact: [], close: [] });
+  });
+
+  it('only keeps candidates at or above the threshold', () => {
+    expect(findBlockMatches(lines, ['return totalss;']).close.map(c => c.idx)).toEqual([2]);
+    expect(findBlockMatches(lines, ['return totalss;'], { settings: { threshold: 90 } }).close).toEqual([]);
+  });
+
+  it('ranks by token overlap in tokens mode', () => {
+    const { close } = findBlockMatches(lines, ['const total = b + a;'], { settings: { similarity: 'tokens' } });
+    expect(close[0]).toMatchObject({ idx: 0, similarity: 100 });
+    expect(close[0].dist).toBeUndefined();
+  });
+});
+
+describe('levenshteinWithin', () => {
+  it('agrees with levenshtein inside the band and caps outside it', () => {
+    const words = ['', 'a', 'kitten', 'sitting', 'return null;', 'retrun nul;', 'function foo() {'];
+    words.forEach(a => words.forEach(b => {
+      const d = levenshtein(a, b);
+      for (let max = 0; max < 8; max++) {
+        expect(levenshteinWithin(a, b, max)).toBe(d <= max ? d : max + 1);
+      }
+    }));
+  });
+});
+
+describe('createLineIndex', () => {
+  it('finds positions by normalized text and follows splices', () => {
+    const index = createLineIndex(['  A', 'b', 'a ']);
+    expect(index.positions('a')).toEqual([0, 2]);
+
+    index.splice(1, 1, ['A', 'c']);
+    expect(index.positions('a')).toEqual([0, 1, 3]);
+    expect(index.norms).toEqual(['a', 'a', 'c', 'a']);
+  });
+});
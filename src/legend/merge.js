@@ -0,0 +1,92 @@
+// FILE: src/legend/merge.js
+
+import { diffArrays } from 'diff';
+
+/* ------------------ Three-way Merge ------------------ */
+
+export const CONFLICT_START = '<<<<<<<';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>>';
+
+// For each base line, its index in `other` when the line diff kept it, else -1
+function keptLines(base, other) {
+  const map = new Array(base.length).fill(-1);
+  let b = 0;
+  let o = 0;
+  diffArrays(base, other).forEach(part => {
+    if (part.added) {
+      o += part.count;
+    } else if (part.removed) {
+      b += part.count;
+    } else {
+      for (let k = 0; k < part.count; k++) map[b++] = o++;
+    }
+  });
+  return map;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((l, i) => l === b[i]);
+
+/**
+ * mergeThreeWay: diff3-style merge of two edits of `base` (arrays of lines)
+ *   ours   – e.g. the hand-edited result
+ *   theirs – e.g. the freshly patched result
+ *   labels – { ours, theirs } written after the conflict markers
+ *
+ * Lines unchanged in all three split the texts into chunks; a chunk only one side changed
+ * takes that side, one both changed the same way is taken once, anything else becomes
+ *   <<<<<<< ours-label / ours / ======= / theirs / >>>>>>> theirs-label
+ * Returns { lines, conflicts, theirsIndex } where `conflicts` counts the marked blocks and
+ * theirsIndex[j] is the index in `theirs` output line j came from (null if it didn't).
+ */
+export function mergeThreeWay(base, ours, theirs, labels = { ours: 'ours', theirs: 'theirs' }) {
+  const inOurs = keptLines(base, ours);
+  const inTheirs = keptLines(base, theirs);
+  const lines = [];
+  const theirsIndex = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  const push = (line, fromTheirs = null) => {
+    lines.push(line);
+    theirsIndex.push(fromTheirs);
+  };
+
+  // Settles the chunk between the last stable line and base[bEnd] / ours[oEnd] / theirs[tEnd]
+  const settle = (bEnd, oEnd, tEnd) => {
+    const baseChunk = base.slice(b, bEnd);
+    const oursChunk = ours.slice(o, oEnd);
+    const theirsChunk = theirs.slice(t, tEnd);
+    if (sameLines(oursChunk, baseChunk)) {
+      theirsChunk.forEach((line, k) => push(line, t + k));
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      oursChunk.forEach(line => push(line));
+    } else {
+      conflicts++;
+      push(`${CONFLICT_START} ${labels.ours}`);
+      oursChunk.forEach(line => push(line));
+      push(CONFLICT_SEPARATOR);
+      theirsChunk.forEach(line => push(line));
+      push(`${CONFLICT_END} ${labels.theirs}`);
+    }
+  };
+
+  base.forEach((line, i) => {
+    if (inOurs[i] === -1 || inTheirs[i] === -1) return;
+    settle(i, inOurs[i], inTheirs[i]);
+    push(line, inTheirs[i]);
+    b = i + 1;
+    o = inOurs[i] + 1;
+    t = inTheirs[i] + 1;
+  });
+  settle(base.length, ours.length, theirs.length);
+
+  return { lines, conflicts, theirsIndex };
+}
+
+// Number of conflict blocks still marked in `text`
+export function countConflicts(text) {
+  return text.split('\n').filter(l => l.startsWith(CONFLICT_START)).length;
+}
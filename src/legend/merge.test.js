@@ -0,0 +1,25 @@
+import { mergeThreeWay, countConflicts } from './merge';
+
+const labels = { ours: 'edited', theirs: 'patched' };
+
+describe('mergeThreeWay', () => {
+  const base = ['a', 'b', 'c', 'd'];
+
+  it('keeps changes each side made to different lines', () => {
+    const { lines, conflicts, theirsIndex } = mergeThreeWay(base, ['a', 'B', 'c', 'd'], ['a', 'b', 'c', 'D'], labels);
+    expect(lines).toEqual(['a', 'B', 'c', 'D']);
+    expect(conflicts).toBe(0);
+    expect(theirsIndex).toEqual([0, null, 2, 3]);
+  });
+
+  it('takes a change both sides made once', () => {
+    expect(mergeThreeWay(base, ['a', 'X', 'c', 'd'], ['a', 'X', 'c', 'd'], labels).lines).toEqual(['a', 'X', 'c', 'd']);
+  });
+
+  it('marks lines both sides changed differently', () => {
+    const { lines, conflicts } = mergeThreeWay(base, ['a', 'mine', 'c', 'd'], ['a', 'theirs', 'c', 'd'], labels);
+    expect(lines).toEqual(['a', '<<<<<<< edited', 'mine', '=======', 'theirs', '>>>>>>> patched', 'c', 'd']);
+    expect(conflicts).toBe(1);
+    expect(countConflicts(lines.join('\n'))).toBe(1);
+  });
+});
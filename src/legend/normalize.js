@@ -0,0 +1,94 @@
+// FILE: src/legend/normalize.js
+
+/* ------------------ Normalization & Distance ------------------ */
+
+// We ignore leading/trailing whitespace, collapse multiple spaces, remove zero-width chars, and lowercase.
+// We do NOT remove punctuation so code tokens remain intact.
+//   caseSensitive   – keep case
+//   whitespaceExact – keep runs of inner whitespace (indentation is still ignored,
+//                     Legend targets are written without it)
+export function normalize(line, { caseSensitive = false, whitespaceExact = false } = {}) {
+  let out = line.replace(/[\u200B-\u200D\uFEFF]/g, '');
+  out = out.trim();
+  if (!caseSensitive) out = out.toLowerCase();
+  if (!whitespaceExact) out = out.replace(/\s+/g, ' ');
+  return out;
+}
+
+// Identifiers, numbers and single punctuation characters
+export function codeTokens(norm) {
+  return norm.match(/[A-Za-z_$][\w$]*|\d+|\S/g) || [];
+}
+
+// Jaccard similarity of two token sets, 0..1
+export function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  a.forEach(t => { if (b.has(t)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Simple Levenshtein distance (edit distance)
+export function levenshtein(a, b) {
+  const m = [];
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  // build matrix
+  for (let i = 0; i <= b.length; i++) {
+    m[i] = [i];
+  }
+  for (let j = 0; j <= a.length; j++) {
+    m[0][j] = j;
+  }
+
+  // fill
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        m[i][j] = m[i - 1][j - 1];
+      } else {
+        m[i][j] = Math.min(
+          m[i - 1][j - 1] + 1,
+          m[i][j - 1] + 1,
+          m[i - 1][j] + 1
+        );
+      }
+    }
+  }
+  return m[b.length][a.length];
+}
+
+/**
+ * levenshteinWithin: edit distance, but only as far as `max`
+ *   Works on the diagonal band |i - j| <= max and stops as soon as a whole row
+ *   exceeds `max`, so unrelated lines cost O(max) instead of O(a·b).
+ *   Returns the exact distance when it is <= max, otherwise max + 1.
+ */
+export function levenshteinWithin(a, b, max) {
+  const over = max + 1;
+  if (Math.abs(a.length - b.length) > max) return over;
+  if (!a.length || !b.length) return Math.max(a.length, b.length);
+
+  let prev = new Array(a.length + 2);
+  let cur = new Array(a.length + 2);
+  for (let j = 0; j <= a.length + 1; j++) prev[j] = j <= max ? j : over;
+
+  for (let i = 1; i <= b.length; i++) {
+    const lo = Math.max(1, i - max);
+    const hi = Math.min(a.length, i + max);
+    // only the band is computed; its two neighbours stand in for "too far"
+    cur[0] = i <= max ? i : over;
+    cur[lo - 1] = lo > 1 ? over : cur[0];
+    let rowMin = cur[lo - 1];
+    for (let j = lo; j <= hi; j++) {
+      const cost = b.charCodeAt(i - 1) === a.charCodeAt(j - 1) ? 0 : 1;
+      cur[j] = Math.min(prev[j - 1] + cost, prev[j] + 1, cur[j - 1] + 1);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    cur[hi + 1] = over;
+    if (rowMin > max) return over;
+    [prev, cur] = [cur, prev];
+  }
+  return Math.min(prev[a.length], over);
+}
@@ -0,0 +1,126 @@
+// FILE: src/legend/parse.js
+
+/* ------------------ Parse Legend Commands ------------------ */
+
+// Text after a M+- / NAD+ prefix. One separating space is dropped; any further
+// indentation is kept so the engine can place the line where it was written.
+function payload(line, prefix) {
+  const rest = line.trimStart().slice(prefix.length).replace(/\s+$/, '');
+  return rest.startsWith(' ') ? rest.slice(1) : rest;
+}
+
+// Collects the run of consecutive lines starting at `i` that carry `prefix`
+function collect(lines, i, prefix, read) {
+  const out = [];
+  while (i < lines.length && lines[i].trim().startsWith(prefix)) {
+    out.push(read(lines[i]));
+    i++;
+  }
+  return [out, i];
+}
+
+const target = prefix => line => line.trim().slice(prefix.length).trim();
+
+// The M- block's lines as written, the same lines its M+- block repeats verbatim at its start
+// and end are context: { before, after, written: the M- lines with their indentation }, or null.
+// At most every line of the shorter block is context.
+function replaceContext(lines, from, to, newLines) {
+  const written = lines.slice(from, to).map(l => payload(l, 'M-'));
+  const most = Math.min(written.length, newLines.length);
+  let before = 0;
+  while (before < most && written[before] === newLines[before]) before++;
+  let after = 0;
+  while (before + after < most && written[written.length - 1 - after] === newLines[newLines.length - 1 - after]) {
+    after++;
+  }
+  return before || after ? { before, after, written } : null;
+}
+
+// `FILE: path` section headers of multi-file scripts (see files.js) are not ops, but not mistakes either
+const FILE_HEADER = /^(?:(?:\/\/|#)\s*)?FILE:/i;
+
+/**
+ * scanScript: parseCommands, plus where each op sits and what was skipped
+ *   ops      – [{ op, from, to }], from/to being the op's first and last script line (0-based)
+ *   problems – [{ line, severity: 'error' | 'warning', message }] for the lines
+ *              parseCommands drops: M+- / NAD+ / DT- lines with no op to belong to,
+ *              a DF- block without its DT- block, and anything unrecognized
+ */
+export function scanScript(lines) {
+  const ops = [];
+  const problems = [];
+  const newLinesAt = i => collect(lines, i, 'NAD+', l => payload(l, 'NAD+'));
+  const add = (op, from, next) => ops.push({ op, from, to: next - 1 });
+  const problem = (line, severity, message) => problems.push({ line, severity, message });
+  let i = 0;
+  while (i < lines.length) {
+    const raw = lines[i].trim();
+    if (raw.startsWith('D-')) {
+      const [oldLines, next] = collect(lines, i, 'D-', target('D-'));
+      add({ type: 'delete', oldLines }, i, next);
+      i = next;
+    } else if (raw.startsWith('M-')) {
+      const [oldLines, afterOld] = collect(lines, i, 'M-', target('M-'));
+      const [newLines, next] = collect(lines, afterOld, 'M+-', l => payload(l, 'M+-'));
+      const context = replaceContext(lines, i, afterOld, newLines);
+      add({ type: 'replace', oldLines, newLines, ...(context && { context }) }, i, next);
+      i = next;
+    } else if (raw.startsWith('AF+') || raw.startsWith('BF+')) {
+      const prefix = raw.slice(0, 3);
+      const [anchorLines, afterAnchor] = collect(lines, i, prefix, target(prefix));
+      const [newLines, next] = newLinesAt(afterAnchor);
+      if (!newLines.length) problem(afterAnchor - 1, 'warning', `${prefix} without NAD+ lines inserts nothing`);
+      add({ type: prefix === 'AF+' ? 'insert' : 'insertBefore', anchorLines, newLines }, i, next);
+      i = next;
+    } else if (raw.startsWith('TOP+') || raw.startsWith('END+')) {
+      const [newLines, next] = newLinesAt(i + 1);
+      if (!newLines.length) problem(i, 'warning', `${raw.slice(0, 4)} without NAD+ lines adds nothing`);
+      add({ type: raw.startsWith('TOP+') ? 'prepend' : 'append', newLines }, i, next);
+      i = next;
+    } else if (raw.startsWith('DF-')) {
+      const [fromLines, afterFrom] = collect(lines, i, 'DF-', target('DF-'));
+      const [toLines, next] = collect(lines, afterFrom, 'DT-', target('DT-'));
+      if (toLines.length) add({ type: 'deleteRange', fromLines, toLines }, i, next);
+      else problem(i, 'error', 'DF- block without a DT- block after it (skipped)');
+      i = next;
+    } else {
+      if (raw.startsWith('M+-') || raw.startsWith('NAD+')) {
+        const owner = raw.startsWith('M+-') ? 'M-' : 'AF+, BF+, TOP+ or END+';
+        problem(i, 'error', `${raw.startsWith('M+-') ? 'M+-' : 'NAD+'} line without a ${owner} line before it (skipped)`);
+      } else if (raw.startsWith('DT-')) {
+        problem(i, 'error', 'DT- line without a DF- block before it (skipped)');
+      } else if (raw && !FILE_HEADER.test(raw)) {
+        problem(i, 'warning', 'Unrecognized line (ignored)');
+      }
+      i++;
+    }
+  }
+  return { ops, problems };
+}
+
+/**
+ * parseCommands: turns Legend script lines into ops
+ *   D-  <line>...                    → { type: 'delete', oldLines }
+ *   M-  <old>... / M+- <new>...      → { type: 'replace', oldLines, newLines, context? }
+ *   AF+ <anchor>... / NAD+ <new>...  → { type: 'insert', anchorLines, newLines }
+ *   BF+ <anchor>... / NAD+ <new>...  → { type: 'insertBefore', anchorLines, newLines }
+ *   TOP+ / NAD+ <new>...             → { type: 'prepend', newLines }
+ *   END+ / NAD+ <new>...             → { type: 'append', newLines }
+ *   DF- <from>... / DT- <to>...      → { type: 'deleteRange', fromLines, toLines }
+ * Consecutive D- / M- / AF+ / BF+ / DF- / DT- lines form one block that must match
+ * contiguously; a blank line between them starts a new op. A DF- block without a
+ * DT- block right after it is skipped.
+ * Targets are trimmed (matching ignores whitespace anyway); new lines keep
+ * their indentation. M+- lines that repeat the M- block's first or last lines exactly,
+ * indentation included, are context: they locate the op, but the file keeps its own
+ * version of them (see replaceContext). Unrecognized lines are skipped (scanScript
+ * reports them).
+ */
+export function parseCommands(lines) {
+  return scanScript(lines).ops.map(entry => entry.op);
+}
+
+// Convenience wrapper for a whole script string
+export function parseScript(script) {
+  return parseCommands(script.split('\n'));
+}
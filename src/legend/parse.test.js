@@ -0,0 +1,86 @@
+import { parseCommands, parseScript, scanScript } from './parse';
+
+describe('parseCommands', () => {
+  it('parses delete, replace and insert ops', () => {
+    const ops = parseScript([
+      'D- console.log("debug");',
+      'M- const a = 1;',
+      'M+- const a = 2;',
+      'M+- const b = 3;',
+      'AF+ function foo() {',
+      'NAD+ return 42;'
+    ].join('\n'));
+
+    expect(ops).toEqual([
+      { type: 'delete', oldLines: ['console.log("debug");'] },
+      { type: 'replace', oldLines: ['const a = 1;'], newLines: ['const a = 2;', 'const b = 3;'] },
+      { type: 'insert', anchorLines: ['function foo() {'], newLines: ['return 42;'] }
+    ]);
+  });
+
+  it('skips lines it does not recognize', () => {
+    expect(parseCommands(['hello', '', '// FILE: x.js'])).toEqual([]);
+  });
+
+  it('keeps indentation after the M+- / NAD+ prefix', () => {
+    const [op] = parseCommands(['AF+ if (x) {', 'NAD+     return;', '  NAD+ }']);
+    expect(op.newLines).toEqual(['    return;', '}']);
+  });
+
+  it('marks lines an M+- block repeats verbatim as context', () => {
+    const [op] = parseCommands(['M- a:', 'M-   b: 1', 'M- c', 'M+- a:', 'M+-   b: 2', 'M+- c']);
+    expect(op.context).toEqual({ before: 1, after: 1, written: ['a:', '  b: 1', 'c'] });
+
+    const [reindented] = parseCommands(['M- foo();', 'M+-   foo();']);
+    expect(reindented.context).toBeUndefined();
+  });
+
+  it('groups consecutive target lines into one block', () => {
+    expect(parseCommands(['D- a', 'D- b', '', 'D- c', 'M- d', 'M- e', 'M+- f'])).toEqual([
+      { type: 'delete', oldLines: ['a', 'b'] },
+      { type: 'delete', oldLines: ['c'] },
+      { type: 'replace', oldLines: ['d', 'e'], newLines: ['f'] }
+    ]);
+  });
+
+  it('parses insert-before, prepend, append and range ops', () => {
+    expect(parseCommands([
+      'BF+ return x;', 'NAD+ log(x);',
+      'TOP+', 'NAD+ "use strict";',
+      'END+', 'NAD+ export default x;',
+      'DF- function old() {', 'DT- }',
+      'DF- orphan start'
+    ])).toEqual([
+      { type: 'insertBefore', anchorLines: ['return x;'], newLines: ['log(x);'] },
+      { type: 'prepend', newLines: ['"use strict";'] },
+      { type: 'append', newLines: ['export default x;'] },
+      { type: 'deleteRange', fromLines: ['function old() {'], toLines: ['}'] }
+    ]);
+  });
+});
+
+describe('scanScript', () => {
+  it('records the script lines each op spans', () => {
+    const { ops } = scanScript(['D- a', '', 'M- b', 'M+- c', 'M+- d']);
+    expect(ops.map(({ from, to }) => [from, to])).toEqual([[0, 0], [2, 4]]);
+  });
+
+  it('reports the lines parseCommands skips', () => {
+    const { problems } = scanScript([
+      'M+- orphan',
+      'NAD+ orphan',
+      'hello',
+      '// FILE: src/a.js',
+      'DF- start',
+      '',
+      'DT- end'
+    ]);
+    expect(problems.map(({ line, severity }) => [line, severity])).toEqual([
+      [0, 'error'],
+      [1, 'error'],
+      [2, 'warning'],
+      [4, 'error'],
+      [6, 'error']
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+// FILE: src/legend/rank.js
+
+import { leadingWhitespace } from './indent';
+import { normalize, codeTokens } from './normalize';
+
+/* ------------------ Ranking Ambiguous Matches ------------------ */
+
+// How far (in lines) around a candidate we look for the neighbouring ops' lines
+const CONTEXT_WINDOW = 15;
+
+// Lines of forward distance at which the proximity score halves
+const PROXIMITY_SCALE = 20;
+
+const WEIGHTS = { proximity: 0.45, context: 0.35, scope: 0.2 };
+
+// Keeps every candidate in the running, so confidences never hit exactly 0
+const BASELINE = 0.05;
+
+// `function foo(`, `class Foo`, `def foo(`, `foo = (…) =>`, `foo: function`, `foo(…) {`
+const SCOPE_PATTERNS = [
+  /\b(?:function\*?|class|def|fn|func|interface|struct)\s+([A-Za-z_$][\w$]*)/,
+  /([A-Za-z_$][\w$]*)\s*[:=]\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /^\s*(?:async\s+)?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/
+];
+
+const NOT_SCOPES = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return']);
+
+/**
+ * enclosingScope: name of the function/class a line sits in, or null
+ *   Walks up to the nearest less-indented line that looks like a declaration.
+ */
+export function enclosingScope(lines, lineIndex) {
+  let indent = leadingWhitespace(lines[lineIndex] || '').length;
+  for (let i = lineIndex - 1; i >= 0 && indent > 0; i--) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    const own = leadingWhitespace(line).length;
+    if (own >= indent) continue;
+    indent = own;
+    for (const pattern of SCOPE_PATTERNS) {
+      const m = line.match(pattern);
+      if (m && !NOT_SCOPES.has(m[1])) return m[1];
+    }
+  }
+  return null;
+}
+
+// 1 right at the cursor, halving every PROXIMITY_SCALE lines; half that going backwards,
+// since script order says later ops usually land further down
+function proximityScore(idx, cursor) {
+  const d = idx - cursor;
+  return d >= 0 ? 1 / (1 + d / PROXIMITY_SCALE) : 0.5 / (1 + -d / PROXIMITY_SCALE);
+}
+
+// The neighbouring ops' lines found within CONTEXT_WINDOW of the candidate, each counting
+// 1 / (1 + lines in between); 1 when all of them sit right next to it
+function contextScore(norms, idx, length, neighbours) {
+  if (!neighbours.length) return 0;
+  const nearest = new Map(); // norm → lines between it and the candidate
+  for (let d = 1; d <= CONTEXT_WINDOW; d++) {
+    [norms[idx - d], norms[idx + length - 1 + d]].forEach(n => {
+      if (n !== undefined && !nearest.has(n)) nearest.set(n, d - 1);
+    });
+  }
+  const found = neighbours.filter(n => nearest.has(n));
+  return found.reduce((sum, n) => sum + 1 / (1 + nearest.get(n)), 0) / neighbours.length;
+}
+
+/**
+ * rankCandidates: orders ambiguous candidates best first and gives each a `confidence`
+ *   lines      – the working copy
+ *   choices    – [{ idx, length, exact, similarity? }] as offered to resolveAmbiguity
+ *   context:
+ *     cursor     – line just after where the previous op landed (0 before the first)
+ *     neighbours – lines of the ops before and after this one in the script
+ *     scope      – enclosing scope of the previous op's location, if known
+ *     settings   – matching settings, to normalize `neighbours` like the file
+ *     norms      – lines already normalized with `settings` (e.g. a line index's norms)
+ *
+ * Each candidate is scored on
+ *   proximity – forward distance from the cursor
+ *   context   – the neighbouring ops' lines appearing around it
+ *   scope     – its enclosing function/class is the previous op's or named in the neighbours
+ * and `confidence` (0–100) is its share of the total score, scaled by similarity for
+ * close matches. Returns new choice objects; ties keep file order.
+ */
+export function rankCandidates(
+  lines,
+  choices,
+  { cursor = 0, neighbours = [], scope = null, settings, norms = lines.map(l => normalize(l, settings)) } = {}
+) {
+  const neighbourNorms = [...new Set(neighbours.map(l => normalize(l, settings)).filter(Boolean))];
+  const neighbourTokens = new Set(neighbourNorms.flatMap(codeTokens));
+
+  const scored = choices.map(choice => {
+    const length = choice.length || 1;
+    const name = enclosingScope(lines, choice.idx);
+    const inScope = name !== null && (name === scope || neighbourTokens.has(normalize(name, settings)));
+    const score = BASELINE
+      + WEIGHTS.proximity * proximityScore(choice.idx, cursor)
+      + WEIGHTS.context * contextScore(norms, choice.idx, length, neighbourNorms)
+      + WEIGHTS.scope * (inScope ? 1 : 0);
+    return { choice, score };
+  });
+
+  const total = scored.reduce((sum, s) => sum + s.score, 0);
+  return scored
+    .map(({ choice, score }) => {
+      const fit = choice.exact || choice.similarity === undefined ? 1 : choice.similarity / 100;
+      return { ...choice, confidence: Math.round(100 * (score / total) * fit) };
+    })
+    .sort((a, b) => b.confidence - a.confidence || a.idx - b.idx);
+}
@@ -0,0 +1,51 @@
+import { rankCandidates, enclosingScope } from './rank';
+
+const lines = [
+  'function load() {',
+  '  const data = read();',
+  '  return data;',
+  '}',
+  '',
+  'function save(data) {',
+  '  write(data);',
+  '  return data;',
+  '}'
+];
+
+const choices = [2, 7].map(idx => ({ idx, length: 1, text: lines[idx], exact: true }));
+
+describe('enclosingScope', () => {
+  it('names the nearest less-indented declaration', () => {
+    expect(enclosingScope(lines, 2)).toBe('load');
+    expect(enclosingScope(lines, 6)).toBe('save');
+    expect(enclosingScope(lines, 0)).toBeNull();
+  });
+
+  it('recognizes arrow functions and methods, but not control flow', () => {
+    const code = ['const run = async () => {', '  if (ok) {', '    go();', '  }', '};'];
+    expect(enclosingScope(code, 2)).toBe('run');
+  });
+});
+
+describe('rankCandidates', () => {
+  it('prefers the candidate just after the previous op', () => {
+    const ranked = rankCandidates(lines, choices, { cursor: 6 });
+    expect(ranked.map(c => c.idx)).toEqual([7, 2]);
+    expect(ranked[0].confidence).toBeGreaterThan(ranked[1].confidence);
+  });
+
+  it('prefers the candidate surrounded by the neighbouring ops’ lines', () => {
+    const ranked = rankCandidates(lines, choices, { neighbours: ['write(data);'] });
+    expect(ranked[0].idx).toBe(7);
+  });
+
+  it('prefers the candidate in the scope the script names', () => {
+    const ranked = rankCandidates(lines, choices, { cursor: 4, neighbours: ['// in load()'] });
+    expect(ranked[0].idx).toBe(2);
+  });
+
+  it('scales confidence by similarity for close matches', () => {
+    const [only] = rankCandidates(lines, [{ idx: 2, length: 1, exact: false, similarity: 80 }]);
+    expect(only.confidence).toBe(80);
+  });
+});
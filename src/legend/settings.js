@@ -0,0 +1,54 @@
+// FILE: src/legend/settings.js
+
+/* ------------------ Matching Settings ------------------ */
+
+/**
+ * DEFAULT_MATCH_SETTINGS: how targets are compared with file lines
+ *   caseSensitive   – `Foo` and `foo` are different lines
+ *   whitespaceExact – inner runs of whitespace must match too
+ *   similarity      – 'levenshtein' (edit distance) or 'tokens' (Jaccard over code tokens)
+ *   threshold       – minimum similarity, in percent, for a close match
+ *   maxCandidates   – close matches offered per op
+ *   strict          – never fuzzy: only exact (normalized) matches count
+ *   autoAccept      – take the top-ranked candidate without asking when its confidence
+ *                     (see rank.js) is at least this many percent; 0 always asks
+ * The defaults reproduce the original behaviour: distance up to half the target length.
+ */
+export const DEFAULT_MATCH_SETTINGS = {
+  caseSensitive: false,
+  whitespaceExact: false,
+  similarity: 'levenshtein',
+  threshold: 50,
+  maxCandidates: 10,
+  strict: false,
+  autoAccept: 0
+};
+
+// Fills in defaults and clamps numbers, e.g. for settings read back from storage
+export function resolveMatchSettings(settings = {}) {
+  const merged = { ...DEFAULT_MATCH_SETTINGS, ...settings };
+  return {
+    ...merged,
+    similarity: merged.similarity === 'tokens' ? 'tokens' : 'levenshtein',
+    threshold: Math.min(100, Math.max(0, Number(merged.threshold) || 0)),
+    maxCandidates: Math.max(1, Math.floor(Number(merged.maxCandidates) || 1)),
+    autoAccept: Math.min(100, Math.max(0, Number(merged.autoAccept) || 0))
+  };
+}
+
+// One-line summary, shown wherever the user has to judge a candidate
+export function describeMatchSettings(settings) {
+  const s = resolveMatchSettings(settings);
+  const parts = [
+    s.caseSensitive ? 'case-sensitive' : 'case-insensitive',
+    s.whitespaceExact ? 'exact inner whitespace' : 'whitespace collapsed'
+  ];
+  if (s.strict) {
+    parts.push('exact matches only');
+  } else {
+    parts.push(`${s.similarity === 'tokens' ? 'token overlap' : 'edit distance'} ≥ ${s.threshold}% similar`);
+    parts.push(`up to ${s.maxCandidates} candidates`);
+  }
+  if (s.autoAccept > 0) parts.push(`auto-accept ≥ ${s.autoAccept}% confidence`);
+  return parts.join(' · ');
+}
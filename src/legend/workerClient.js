@@ -0,0 +1,64 @@
+// FILE: src/legend/workerClient.js
+
+import { applyLegend } from './apply';
+
+/* ------------------ Apply in a Web Worker ------------------ */
+
+// Kept out of index.js: it needs a bundler that understands `new URL(…, import.meta.url)`.
+
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map(); // id → { resolve, reject, resolveAmbiguity, onProgress }
+
+function skipAmbiguous() {
+  return { lineIndex: null, skip: true };
+}
+
+function getWorker() {
+  if (worker || typeof Worker === 'undefined') return worker;
+
+  worker = new Worker(new URL('./legend.worker.js', import.meta.url));
+  worker.onmessage = async ({ data }) => {
+    const job = jobs.get(data.id);
+    if (!job) return;
+    if (data.type === 'progress') {
+      if (job.onProgress) job.onProgress(data.progress);
+    } else if (data.type === 'ambiguity') {
+      const answer = await job.resolveAmbiguity(data.request);
+      worker.postMessage({ type: 'answer', requestId: data.requestId, answer });
+    } else if (data.type === 'done') {
+      jobs.delete(data.id);
+      job.resolve(data.result);
+    } else if (data.type === 'error') {
+      jobs.delete(data.id);
+      job.reject(new Error(data.message));
+    }
+  };
+  worker.onerror = event => {
+    jobs.forEach(job => job.reject(new Error(event.message || 'Legend worker crashed')));
+    jobs.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+/**
+ * applyLegendInWorker: applyLegend, run off the main thread
+ *   Same arguments and result as applyLegend; resolveAmbiguity and onProgress are
+ *   called on the main thread. Falls back to applyLegend where Workers don't exist.
+ */
+export function applyLegendInWorker(
+  original,
+  script,
+  { resolveAmbiguity = skipAmbiguous, onProgress, settings } = {}
+) {
+  const w = getWorker();
+  if (!w) return applyLegend(original, script, { resolveAmbiguity, onProgress, settings });
+
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    jobs.set(id, { resolve, reject, resolveAmbiguity, onProgress });
+    w.postMessage({ type: 'apply', id, original, script, settings });
+  });
+}
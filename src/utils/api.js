@@ -1,6 +1,159 @@
+// FILE: src/utils/api.js
+
+import { useSyncExternalStore } from 'react';
 import axios from 'axios';
+import { loadJSON, saveJSON } from './storage';
+
+/* ------------------ Configuration ------------------ */
+
+// REACT_APP_API_URL (e.g. in .env.local) points the client at a local or mock backend;
+// the API settings dialog can override it at runtime
+export const DEFAULT_API_BASE_URL = process.env.REACT_APP_API_URL || 'https://legend-patcher-backend.onrender.com';
+export const API_BASE_URL_KEY = 'legend.apiBaseURL';
+
+// The free backend can take a while to wake up, hence the generous default
+export const DEFAULT_TIMEOUT_MS = Number(process.env.REACT_APP_API_TIMEOUT_MS) || 20000;
+
+// Failed idempotent requests are retried this many times, waiting RETRY_DELAY_MS, then twice that, …
+export const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// Methods safe to send twice; other requests are retried only when they set `retries` themselves
+const IDEMPOTENT = ['get', 'head', 'options', 'put', 'delete'];
+
+export function getApiBaseURL() {
+  return loadJSON(API_BASE_URL_KEY, null) || DEFAULT_API_BASE_URL;
+}
+
+/* ------------------ Errors ------------------ */
+
+/**
+ * ApiError: every failed request rejects with one of these
+ *   kind   – 'network' (no answer), 'timeout', 'http' (an error status), 'offline' (not sent,
+ *            see Connection Status) or 'cancelled'
+ *   status – the HTTP status for 'http' errors
+ */
+export class ApiError extends Error {
+  constructor(kind, message, { status = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// An axios error as an ApiError
+export function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (axios.isCancel(err)) return new ApiError('cancelled', 'The request was cancelled.', { cause: err });
+  if (err.response) {
+    const { status, statusText } = err.response;
+    return new ApiError('http', `The server answered ${status}${statusText ? ` ${statusText}` : ''}.`, {
+      status,
+      cause: err
+    });
+  }
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+    const seconds = Math.round((err.config?.timeout || DEFAULT_TIMEOUT_MS) / 1000);
+    return new ApiError('timeout', `The server did not answer within ${seconds} seconds.`, { cause: err });
+  }
+  return new ApiError('network', 'Could not reach the server. Check your connection and try again.', {
+    cause: err
+  });
+}
+
+// Errors worth another try: no answer, or an overloaded / restarting server
+function isRetryable(error) {
+  return error.kind === 'network'
+    || error.kind === 'timeout'
+    || (error.kind === 'http' && (error.status === 429 || error.status >= 500));
+}
+
+/* ------------------ Connection Status ------------------ */
+
+// 'unknown' until the first answer; 'offline' after a request got none, until one does.
+// While offline, requests fail straight away and the app works from local storage only.
+let status = 'unknown';
+const listeners = new Set();
 
-export default axios.create({
-  baseURL: 'https://legend-patcher-backend.onrender.com',
+function setStatus(next) {
+  if (next === status) return;
+  status = next;
+  listeners.forEach(listener => listener());
+}
+
+export const getApiStatus = () => status;
+
+export function subscribeApiStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Re-renders with the connection status whenever it changes
+export function useApiStatus() {
+  return useSyncExternalStore(subscribeApiStatus, getApiStatus);
+}
+
+/* ------------------ Client ------------------ */
+
+const api = axios.create({
+  baseURL: getApiBaseURL(),
+  timeout: DEFAULT_TIMEOUT_MS,
   headers: { 'Content-Type': 'application/json' }
 });
+
+// Per-request options on top of axios': retries, retryDelayMs, and probe (sent even while offline)
+api.interceptors.request.use(config => {
+  if (status === 'offline' && !config.probe) {
+    throw new ApiError('offline', 'The server is unreachable, so the app is working locally for now.');
+  }
+  return config;
+});
+
+api.interceptors.response.use(
+  response => {
+    setStatus('online');
+    return response;
+  },
+  async err => {
+    const error = toApiError(err);
+    const config = err.config;
+    if (!config) throw error;
+    if (error.kind === 'http') setStatus('online');
+
+    const retries = config.retries ?? (IDEMPOTENT.includes(config.method) ? MAX_RETRIES : 0);
+    const attempt = config.attempt || 0;
+    if (isRetryable(error) && attempt < retries) {
+      const delay = (config.retryDelayMs ?? RETRY_DELAY_MS) * 2 ** attempt;
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return api({ ...config, attempt: attempt + 1 });
+    }
+    if (error.kind === 'network' || error.kind === 'timeout') setStatus('offline');
+    throw error;
+  }
+);
+
+/**
+ * checkConnection: asks the backend for anything and updates the connection status
+ *   Any HTTP answer, even an error status, counts as online. Resolves to the new status.
+ */
+export async function checkConnection() {
+  try {
+    await api.get('/', { probe: true, retries: 0 });
+  } catch {
+    // the interceptor has already recorded what happened
+  }
+  return status;
+}
+
+// Points the client at `url` (the default when empty) and checks the new server
+export function setApiBaseURL(url) {
+  const trimmed = url.trim();
+  saveJSON(API_BASE_URL_KEY, trimmed || null);
+  api.defaults.baseURL = trimmed || DEFAULT_API_BASE_URL;
+  setStatus('unknown');
+  return checkConnection();
+}
+
+export default api;
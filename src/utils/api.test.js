@@ -0,0 +1,54 @@
+import api, { ApiError, toApiError, getApiStatus, checkConnection } from './api';
+
+// Answers requests with `results` in turn: a status number, or null for no answer at all
+function respondWith(...results) {
+  const calls = [];
+  api.defaults.adapter = config => {
+    calls.push(config);
+    const result = results[Math.min(calls.length, results.length) - 1];
+    if (result === null) return Promise.reject(Object.assign(new Error('Network Error'), { config, request: {} }));
+    const response = { data: {}, status: result, statusText: '', headers: {}, config };
+    if (result < 400) return Promise.resolve(response);
+    return Promise.reject(Object.assign(new Error(`Request failed with status ${result}`), { config, response }));
+  };
+  return calls;
+}
+
+describe('api client', () => {
+  it('types errors by what went wrong', () => {
+    expect(toApiError({ response: { status: 500, statusText: 'Server Error' } }))
+      .toMatchObject({ kind: 'http', status: 500, message: 'The server answered 500 Server Error.' });
+    expect(toApiError({ code: 'ECONNABORTED', config: { timeout: 3000 } }))
+      .toMatchObject({ kind: 'timeout', message: 'The server did not answer within 3 seconds.' });
+    expect(toApiError({ request: {} }).kind).toBe('network');
+  });
+
+  it('retries idempotent requests on server errors', async () => {
+    const calls = respondWith(503, 200);
+    await expect(api.get('/x', { retryDelayMs: 0 })).resolves.toMatchObject({ status: 200 });
+    expect(calls).toHaveLength(2);
+    expect(getApiStatus()).toBe('online');
+  });
+
+  it('does not retry posts or client errors', async () => {
+    let calls = respondWith(503, 200);
+    await expect(api.post('/x', {}, { retryDelayMs: 0 })).rejects.toMatchObject({ kind: 'http', status: 503 });
+    expect(calls).toHaveLength(1);
+    calls = respondWith(404, 200);
+    await expect(api.get('/x', { retryDelayMs: 0 })).rejects.toBeInstanceOf(ApiError);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('goes offline when the server cannot be reached, until it answers again', async () => {
+    const calls = respondWith(null);
+    await expect(api.get('/x', { retryDelayMs: 0 })).rejects.toMatchObject({ kind: 'network' });
+    expect(calls).toHaveLength(3);
+    expect(getApiStatus()).toBe('offline');
+
+    await expect(api.get('/x')).rejects.toMatchObject({ kind: 'offline' });
+    expect(calls).toHaveLength(3);
+
+    respondWith(404);
+    await expect(checkConnection()).resolves.toBe('online');
+  });
+});
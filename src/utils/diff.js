@@ -0,0 +1,38 @@
+// FILE: src/utils/diff.js
+
+import { createTwoFilesPatch } from 'diff';
+
+/* ------------------ Unified Diff ------------------ */
+
+// Context value meaning "don't fold anything": every unchanged line is shown
+export const FULL_CONTEXT = Infinity;
+
+/**
+ * buildUnifiedDiff: unified diff between two versions of a file
+ *   oldName / newName – names for the `---` / `+++` headers
+ *   context           – unchanged lines kept around each change (FULL_CONTEXT for all)
+ */
+export function buildUnifiedDiff(oldText, newText, { oldName = 'original', newName = 'patched', context = 3 } = {}) {
+  const lineCount = Math.max(oldText.split('\n').length, newText.split('\n').length);
+  return createTwoFilesPatch(oldName, newName, oldText, newText, '', '', {
+    context: context === FULL_CONTEXT ? lineCount : context
+  });
+}
+
+/**
+ * buildPatchFile: a unified diff `git apply` / `patch -p1` accept as-is
+ *   oldName / newName – `---` / `+++` header names, e.g. a/src/App.jsx and b/src/App.jsx
+ *   context           – unchanged lines kept around each change
+ * Returns '' when the texts are identical.
+ */
+export function buildPatchFile(oldText, newText, { oldName = 'a/file', newName = 'b/file', context = 3 } = {}) {
+  if (oldText === newText) return '';
+  const lines = buildUnifiedDiff(oldText, newText, { oldName, newName, context }).split('\n');
+  // In the header only (content lines may look alike): drop the `====` separator and the tab
+  // jsdiff leaves after each name
+  const firstHunk = lines.findIndex(l => l.startsWith('@@'));
+  const header = lines.slice(0, firstHunk)
+    .filter(l => !/^=+$/.test(l))
+    .map(l => (l.startsWith('--- ') || l.startsWith('+++ ') ? l.replace(/\t$/, '') : l));
+  return [...header, ...lines.slice(firstHunk)].join('\n');
+}
@@ -0,0 +1,31 @@
+import { buildPatchFile } from './diff';
+
+describe('buildPatchFile', () => {
+  it('writes git-style headers without separators or trailing tabs', () => {
+    const patch = buildPatchFile('a\nb\nc\n', 'a\nB\nc\n', {
+      oldName: 'a/src/x.js',
+      newName: 'b/src/x.js',
+      context: 1
+    });
+
+    expect(patch).toBe([
+      '--- a/src/x.js',
+      '+++ b/src/x.js',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      ''
+    ].join('\n'));
+  });
+
+  it('leaves content lines that look like headers alone', () => {
+    const patch = buildPatchFile('x\n-- note\t\n++ more\t\n', 'x\n', { context: 0 });
+    expect(patch.split('\n').slice(3, 5)).toEqual(['--- note\t', '-++ more\t']);
+  });
+
+  it('returns an empty patch for identical texts', () => {
+    expect(buildPatchFile('same', 'same')).toBe('');
+  });
+});
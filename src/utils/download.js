@@ -0,0 +1,14 @@
+// FILE: src/utils/download.js
+
+// Saves a Blob (or a string, as text) through a temporary <a download> link
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,72 @@
+// FILE: src/utils/files.js
+
+/* ------------------ Reading Local Files ------------------ */
+
+// Folders never worth opening as patch targets
+const SKIPPED_DIRS = ['node_modules', '.git', 'dist', 'build', 'coverage'];
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+function isSkipped(path) {
+  return path.split('/').some(part => SKIPPED_DIRS.includes(part));
+}
+
+// Reads a File as text; null for large or binary files
+async function readText(file) {
+  if (file.size > MAX_FILE_SIZE) return null;
+  const text = await file.text();
+  return text.includes('\0') ? null : text;
+}
+
+async function toEntries(items) {
+  const out = [];
+  for (const { path, file } of items) {
+    if (isSkipped(path)) continue;
+    const text = await readText(file);
+    if (text !== null) out.push({ path, text });
+  }
+  return out;
+}
+
+/**
+ * readFileList: files from an <input type="file"> (plain or `webkitdirectory`)
+ * Returns [{ path, text }], using the folder-relative path when there is one.
+ */
+export function readFileList(fileList) {
+  return toEntries(Array.from(fileList).map(file => ({
+    path: file.webkitRelativePath || file.name,
+    file
+  })));
+}
+
+// Walks a FileSystemEntry from a drop, collecting { path, file }
+async function walkEntry(entry, prefix, out) {
+  const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ path, file });
+    return;
+  }
+  if (isSkipped(path)) return;
+  const reader = entry.createReader();
+  // readEntries returns results in batches until it returns an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    for (const child of batch) await walkEntry(child, path, out);
+  }
+}
+
+/**
+ * readDataTransfer: files and folders dropped onto the page
+ * Returns [{ path, text }]; folders are read recursively.
+ */
+export async function readDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return readFileList(dataTransfer.files);
+
+  const collected = [];
+  for (const entry of entries) await walkEntry(entry, '', collected);
+  return toEntries(collected);
+}
@@ -0,0 +1,67 @@
+// FILE: src/utils/format.js
+
+import * as prettier from 'prettier/standalone';
+
+/* ------------------ Prettier Formatting & Syntax Check ------------------ */
+
+const babel = () => import('prettier/plugins/babel');
+const estree = () => import('prettier/plugins/estree');
+const typescript = () => import('prettier/plugins/typescript');
+const postcss = () => import('prettier/plugins/postcss');
+const html = () => import('prettier/plugins/html');
+const markdown = () => import('prettier/plugins/markdown');
+const yaml = () => import('prettier/plugins/yaml');
+
+/**
+ * PARSERS: the Prettier parsers offered, with the plugins each needs
+ *   Plugins are loaded on first use, so unused ones never reach the page.
+ */
+export const PARSERS = {
+  babel: { label: 'Babel (JavaScript / JSX)', plugins: [babel, estree] },
+  typescript: { label: 'TypeScript', plugins: [typescript, estree] },
+  json: { label: 'JSON', plugins: [babel, estree] },
+  css: { label: 'CSS', plugins: [postcss] },
+  scss: { label: 'SCSS', plugins: [postcss] },
+  less: { label: 'Less', plugins: [postcss] },
+  html: { label: 'HTML', plugins: [html, postcss, babel, estree] },
+  vue: { label: 'Vue', plugins: [html, postcss, babel, estree] },
+  markdown: { label: 'Markdown', plugins: [markdown] },
+  yaml: { label: 'YAML', plugins: [yaml] }
+};
+
+// Parser for a language id from utils/language.js; null when Prettier has none (Python, text)
+export const PARSER_FOR_LANGUAGE = {
+  javascript: 'babel',
+  typescript: 'typescript',
+  json: 'json',
+  css: 'css',
+  html: 'html'
+};
+
+async function loadPlugins(parser) {
+  return Promise.all(PARSERS[parser].plugins.map(load => load()));
+}
+
+// Formats `text` with Prettier's `parser`; throws Prettier's SyntaxError on broken code
+export async function formatCode(text, parser) {
+  return prettier.format(text, { parser, plugins: await loadPlugins(parser) });
+}
+
+/**
+ * checkSyntax: parses `text` with `parser`
+ *   Returns null when it parses, else { line, column, message } (1-based line and column).
+ */
+export async function checkSyntax(text, parser) {
+  try {
+    await formatCode(text, parser);
+    return null;
+  } catch (err) {
+    const start = err.loc && err.loc.start;
+    if (!start) throw err;
+    return {
+      line: start.line,
+      column: start.column,
+      message: err.message.split('\n')[0].replace(/\s*\(\d+:\d+\)$/, '')
+    };
+  }
+}
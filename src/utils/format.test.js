@@ -0,0 +1,18 @@
+import { formatCode, checkSyntax } from './format';
+
+describe('formatCode', () => {
+  it('formats with the chosen parser', async () => {
+    expect(await formatCode('const a={b:1}', 'babel')).toBe('const a = { b: 1 };\n');
+    expect(await formatCode('a{color:red}', 'css')).toBe('a {\n  color: red;\n}\n');
+  });
+});
+
+describe('checkSyntax', () => {
+  it('passes valid code and locates syntax errors', async () => {
+    expect(await checkSyntax('function f() {\n  return 1;\n}', 'babel')).toBeNull();
+
+    const error = await checkSyntax('function f() {\n  return 1;\n\nf();', 'babel');
+    expect(error).toMatchObject({ line: 4 });
+    expect(error.message).toMatch(/Unexpected token/);
+  });
+});
@@ -0,0 +1,40 @@
+// FILE: src/utils/history.js
+
+/* ------------------ Undo / Redo History ------------------ */
+
+// A history is { entries, index }: every state so far, and the one being shown.
+// All helpers return a new history and never touch the one passed in.
+
+export function createHistory(initial) {
+  return { entries: [initial], index: 0 };
+}
+
+export function currentEntry(history) {
+  return history.entries[history.index];
+}
+
+export const canUndo = history => history.index > 0;
+export const canRedo = history => history.index < history.entries.length - 1;
+
+/**
+ * record: makes `entry` the current state, dropping anything that could have been redone
+ *   merge – replace the current entry instead of adding one (e.g. to fold typing into a
+ *           single step); the first entry is never replaced
+ */
+export function record(history, entry, { merge = false } = {}) {
+  const kept = history.entries.slice(0, history.index + (merge && history.index > 0 ? 0 : 1));
+  return { entries: [...kept, entry], index: kept.length };
+}
+
+export function undo(history) {
+  return canUndo(history) ? { ...history, index: history.index - 1 } : history;
+}
+
+export function redo(history) {
+  return canRedo(history) ? { ...history, index: history.index + 1 } : history;
+}
+
+// Shows entry `index` directly, like undoing or redoing several steps at once
+export function jumpTo(history, index) {
+  return index >= 0 && index < history.entries.length ? { ...history, index } : history;
+}
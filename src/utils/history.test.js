@@ -0,0 +1,30 @@
+import { createHistory, currentEntry, record, undo, redo, jumpTo, canUndo, canRedo } from './history';
+
+describe('history', () => {
+  it('undoes and redoes recorded entries', () => {
+    let h = record(record(createHistory('a'), 'b'), 'c');
+    h = undo(undo(h));
+    expect(currentEntry(h)).toBe('a');
+    expect(canUndo(h)).toBe(false);
+    h = redo(h);
+    expect(currentEntry(h)).toBe('b');
+    expect(canRedo(h)).toBe(true);
+  });
+
+  it('drops the redo tail when something new is recorded', () => {
+    const h = record(undo(record(createHistory('a'), 'b')), 'c');
+    expect(h.entries).toEqual(['a', 'c']);
+    expect(canRedo(h)).toBe(false);
+  });
+
+  it('merges into the current entry but never into the first', () => {
+    expect(record(createHistory('a'), 'b', { merge: true }).entries).toEqual(['a', 'b']);
+    expect(record(record(createHistory('a'), 'b'), 'c', { merge: true }).entries).toEqual(['a', 'c']);
+  });
+
+  it('jumps to any entry', () => {
+    const h = jumpTo(record(record(createHistory('a'), 'b'), 'c'), 1);
+    expect(currentEntry(h)).toBe('b');
+    expect(jumpTo(h, 7)).toBe(h);
+  });
+});
@@ -0,0 +1,102 @@
+// FILE: src/utils/language.js
+
+/* ------------------ Languages ------------------ */
+
+/**
+ * LANGUAGES: the languages the editors and diff views know
+ *   label      – shown in the language selector
+ *   extensions – file extensions, the first one used to name files for the diff view
+ *   hljs       – highlight.js name, for the diff view
+ */
+export const LANGUAGES = {
+  javascript: { label: 'JavaScript / JSX', extensions: ['js', 'jsx', 'mjs', 'cjs'], hljs: 'javascript' },
+  typescript: { label: 'TypeScript / TSX', extensions: ['ts', 'tsx', 'mts', 'cts'], hljs: 'typescript' },
+  json: { label: 'JSON', extensions: ['json'], hljs: 'json' },
+  python: { label: 'Python', extensions: ['py', 'pyw'], hljs: 'python' },
+  html: { label: 'HTML / XML', extensions: ['html', 'htm', 'xml', 'svg', 'vue'], hljs: 'xml' },
+  css: { label: 'CSS', extensions: ['css', 'scss', 'less'], hljs: 'css' },
+  text: { label: 'Plain text', extensions: ['txt'], hljs: 'plaintext' }
+};
+
+export const AUTO_LANGUAGE = 'auto';
+
+// A file name for code in `language` whose real name isn't known: 'untitled.py'
+export function fileNameFor(language, base = 'untitled') {
+  return LANGUAGES[language] ? `${base}.${LANGUAGES[language].extensions[0]}` : base;
+}
+
+// 'src/app.py' → 'python'; null when the extension isn't one of LANGUAGES
+export function languageFromPath(path) {
+  const ext = (path || '').split('.').pop().toLowerCase();
+  return Object.keys(LANGUAGES).find(id => LANGUAGES[id].extensions.includes(ext)) || null;
+}
+
+// Hints per language; a language scores one point per hint found in the text
+const HINTS = {
+  python: [
+    /^\s*def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:\s*$/m,
+    /^\s*class\s+\w+(\(.*\))?:\s*$/m,
+    /^\s*(from\s+[\w.]+\s+)?import\s+[\w.]+(\s+as\s+\w+)?\s*$/m,
+    /^\s*(elif|except|finally|with)\b.*:\s*$/m,
+    /\bself\.\w+/,
+    /^\s*if __name__ == ['"]__main__['"]:/m
+  ],
+  typescript: [
+    /\binterface\s+\w+\s*(<[^>]*>)?\s*(extends\s+[\w.<>, ]+)?\{/,
+    /\btype\s+\w+\s*(<[^>]*>)?\s*=/,
+    /[\w)\]]\s*:\s*(string|number|boolean|any|unknown|void|never)(\[\])?\s*[,;=)]/,
+    /\b(public|private|protected|readonly)\s+\w+\s*[:(]/,
+    /\bas\s+(const|string|number|any|unknown)\b/,
+    /^\s*import\s+type\s/m
+  ],
+  javascript: [
+    /\b(const|let|var)\s+[\w${[]/,
+    /\bfunction\s*\*?\s*\w*\s*\(/,
+    /=>/,
+    /^\s*(import\s.+\sfrom\s|export\s+(default\s+)?(function|const|class)\b)/m,
+    /\brequire\(['"]/,
+    /\b(console|document|window)\./
+  ],
+  css: [
+    /^\s*[.#@]?[\w-]+[^{;]*\{\s*$/m,
+    /^\s*[\w-]+\s*:\s*[^;{]+;\s*$/m,
+    /^\s*@(media|import|keyframes|font-face)\b/m,
+    /\b\d+(px|em|rem|vh|vw|%)\b/
+  ],
+  html: [
+    /^\s*<!DOCTYPE html/im,
+    /<(html|head|body|div|span|p|a|ul|li|section|template)\b[^>]*>/i,
+    /<\/\w+>\s*$/m,
+    /^\s*<\?xml\b/m
+  ]
+};
+
+/**
+ * detectLanguage: best guess at a text's language from its content
+ *   JSON is recognized by parsing; otherwise every language counts its HINTS and the most
+ *   hints win (JavaScript on a tie or with none, as the editors used to assume).
+ *   TypeScript also needs a TypeScript-only hint, and HTML whose first character is
+ *   not `<` is taken for JSX.
+ */
+export function detectLanguage(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return 'javascript';
+
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // not JSON – fall through to the hints
+    }
+  }
+
+  const scores = Object.fromEntries(
+    Object.entries(HINTS).map(([id, hints]) => [id, hints.filter(h => h.test(trimmed)).length])
+  );
+  if (!trimmed.startsWith('<')) scores.html = 0;
+  if (scores.typescript > 0) scores.typescript += scores.javascript;
+
+  const [best, score] = Object.entries(scores).reduce((a, b) => (b[1] > a[1] ? b : a), ['javascript', 0]);
+  return score > 0 ? best : 'javascript';
+}
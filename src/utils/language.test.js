@@ -0,0 +1,34 @@
+import { detectLanguage, languageFromPath, fileNameFor } from './language';
+
+describe('fileNameFor', () => {
+  it('names files by the language\'s first extension', () => {
+    expect(fileNameFor('python')).toBe('untitled.py');
+    expect(fileNameFor('typescript', 'patch')).toBe('patch.ts');
+    expect(fileNameFor(null)).toBe('untitled');
+  });
+});
+
+describe('languageFromPath', () => {
+  it('maps file extensions to languages', () => {
+    expect(languageFromPath('src/app.py')).toBe('python');
+    expect(languageFromPath('Component.TSX')).toBe('typescript');
+    expect(languageFromPath('styles/site.scss')).toBe('css');
+    expect(languageFromPath('README')).toBeNull();
+  });
+});
+
+describe('detectLanguage', () => {
+  it('recognizes each language from typical code', () => {
+    expect(detectLanguage('{ "name": "x", "version": "1.0.0" }')).toBe('json');
+    expect(detectLanguage('import os\n\ndef main():\n    print(os.getcwd())\n')).toBe('python');
+    expect(detectLanguage('interface User {\n  name: string;\n}\nconst u: User = { name: "a" };')).toBe('typescript');
+    expect(detectLanguage('const add = (a, b) => a + b;\nconsole.log(add(1, 2));')).toBe('javascript');
+    expect(detectLanguage('.card {\n  margin: 4px;\n  color: red;\n}')).toBe('css');
+    expect(detectLanguage('<!DOCTYPE html>\n<html>\n<body><div>hi</div></body>\n</html>')).toBe('html');
+  });
+
+  it('takes JSX for JavaScript and falls back to JavaScript', () => {
+    expect(detectLanguage('export default function App() {\n  return <div>hi</div>;\n}')).toBe('javascript');
+    expect(detectLanguage('')).toBe('javascript');
+  });
+});
@@ -0,0 +1,214 @@
+// FILE: src/utils/linePatch.js
+
+/* ------------------ Line-Numbered Code ------------------ */
+
+// "12| code": the number (padded to line up), a bar and one space, then the line exactly as is
+const DELIMITED = /^\s*(\d+)\| ?(.*)$/;
+// Legacy "12code": number glued to the code, which was trimmed and often lowercased
+const LEGACY = /^(\d+)(.*)$/;
+
+// Numbers every line of `text` in the "12| code" format; parseNumberedCode gives `text` back
+export function numberLines(text) {
+  const lines = text.split('\n');
+  const width = String(lines.length).length;
+  return lines.map((line, i) => `${String(i + 1).padStart(width)}| ${line}`).join('\n');
+}
+
+// Splits pasted numbered code into [{ num: 1, text: 'function foo() {' }, ...]; lines without a
+// number get num: null. Takes numberLines' format (losslessly) when every numbered line uses it,
+// otherwise the legacy "1function foo() {" one, whose lines are trimmed – a legacy line such as
+// "12|| b) {" looks delimited on its own.
+export function parseNumberedCode(numberedCode) {
+  const lines = numberedCode.split('\n');
+  const numbered = lines.filter(raw => /^\s*\d/.test(raw));
+  if (numbered.length && numbered.every(raw => DELIMITED.test(raw))) {
+    return lines.map(raw => {
+      const match = raw.match(DELIMITED);
+      return match ? { num: parseInt(match[1], 10), text: match[2] } : { num: null, text: raw };
+    });
+  }
+  return lines.map(raw => {
+    // For safety, separate the leading digits from the rest
+    // e.g. "12some code here" → 12 and "some code here"
+    const match = raw.match(LEGACY);
+    if (!match) {
+      return { num: null, text: raw.trim() };
+    }
+    return {
+      num: parseInt(match[1], 10),
+      text: match[2].trim()
+    };
+  });
+}
+
+/* ------------------ Instructions ------------------ */
+
+// A line that starts a new instruction (and so ends the block of the one before)
+const INSTRUCTION_START = /^(remove lines?|replace lines?|add (after|before) line|move lines?)\s+\d/i;
+
+// "X" or "X-Y" → [from, to]
+const RANGE = '(\\d+)(?:\\s*-\\s*(\\d+))?';
+const toRange = (from, to) => [parseInt(from, 10), parseInt(to || from, 10)];
+
+// Handles these patterns:
+//  1) "Remove line X" / "Remove lines X-Y"
+//  2) "Replace line X with: SOMETHING" / "Replace lines X-Y with:" followed by a block
+//  3) "Add after line X:" / "Add before line X:" followed by a block
+//  4) "Move line X after line Z" / "Move lines X-Y after line Z"
+// A block is the text after the colon plus the lines below it, up to a blank line or the next
+// instruction; an empty first line is dropped when lines follow.
+// Each op is { type, from, to, newLines?, target?, instruction: its 1-based position }.
+export function parseInstructions(instructionsText) {
+  const lines = instructionsText.split('\n');
+  const ops = [];
+  const add = op => ops.push({ ...op, instruction: ops.length + 1 });
+  let i = 0;
+
+  // Collects the block that starts with `first` (after the colon) at lines[i + 1]
+  const readBlock = first => {
+    const block = [];
+    i++;
+    while (i < lines.length && lines[i].trim() && !INSTRUCTION_START.test(lines[i])) {
+      block.push(lines[i]);
+      i++;
+    }
+    return first || !block.length ? [first, ...block] : block;
+  };
+
+  while (i < lines.length) {
+    const raw = lines[i].trim();
+    if (!raw) {
+      // empty line -> skip
+      i++;
+      continue;
+    }
+
+    let match = raw.match(new RegExp(`^remove lines?\\s+${RANGE}`, 'i'));
+    if (match) {
+      const [from, to] = toRange(match[1], match[2]);
+      add({ type: 'remove', from, to });
+      i++;
+      continue;
+    }
+
+    match = raw.match(new RegExp(`^replace lines?\\s+${RANGE}\\s+with:\\s*(.*)`, 'i'));
+    if (match) {
+      const [from, to] = toRange(match[1], match[2]);
+      add({ type: 'replace', from, to, newLines: readBlock(match[3] || '') });
+      continue; // readBlock moved i past the block
+    }
+
+    match = raw.match(/^add (after|before) line\s+(\d+):\s*(.*)/i);
+    if (match) {
+      const [from, to] = toRange(match[2]);
+      const type = match[1].toLowerCase() === 'after' ? 'insert' : 'insertBefore';
+      add({ type, from, to, newLines: readBlock(match[3] || '') });
+      continue;
+    }
+
+    match = raw.match(new RegExp(`^move lines?\\s+${RANGE}\\s+after line\\s+(\\d+)`, 'i'));
+    if (match) {
+      const [from, to] = toRange(match[1], match[2]);
+      add({ type: 'move', from, to, target: parseInt(match[3], 10) });
+      i++;
+      continue;
+    }
+
+    // If none of the patterns matched, we skip this line
+    i++;
+  }
+  return ops;
+}
+
+/* ------------------ Applying ------------------ */
+
+const OP_NAMES = {
+  remove: 'remove',
+  replace: 'replace',
+  insert: 'add after',
+  insertBefore: 'add before',
+  move: 'move'
+};
+
+const lineRef = (from, to = from) => (from === to ? `line ${from}` : `lines ${from}-${to}`);
+
+// "Instruction 3 (move lines 2-4 after line 9)"
+function describeOp(op) {
+  const target = op.type === 'move' ? ` after ${lineRef(op.target)}` : '';
+  return `Instruction ${op.instruction} (${OP_NAMES[op.type]} ${lineRef(op.from, op.to)}${target})`;
+}
+
+/**
+ * applyLineOps: runs `ops` on parseNumberedCode's lines
+ *   Every line number refers to the pasted numbering, whatever the instructions before it did,
+ *   so the order of the instructions doesn't matter. Lines added at the same place keep
+ *   instruction order; moved lines go after their target like added ones, taking the lines
+ *   added before or after them along.
+ *   An op whose lines don't exist, that removes, replaces or moves a line an earlier op already
+ *   claimed, or that moves lines after one of themselves (directly or through other moves),
+ *   is skipped and reported.
+ *   Returns { lines: the result, problems: [message] }.
+ */
+export function applyLineOps(parsedLines, ops) {
+  const indexOf = new Map();
+  parsedLines.forEach((line, i) => {
+    if (line.num !== null && !indexOf.has(line.num)) indexOf.set(line.num, i);
+  });
+
+  const claimed = new Map();   // line index → the remove/replace/move op that took it
+  const replaced = new Map();  // first line index of a replaced range → new lines
+  const before = new Map();    // line index → lines to add before it
+  const after = new Map();     // line index → what goes after it: { lines } added or { moved: line index }
+  const problems = [];
+  const addAt = (map, index, added) => map.set(index, [...(map.get(index) || []), ...added]);
+
+  // Whether `index` ends up among `range`: it is in it, or is moved after a line that does
+  const landsIn = (index, range) => {
+    let i = index;
+    while (i !== undefined) {
+      if (range.includes(i)) return true;
+      const mover = claimed.get(i);
+      i = mover && mover.type === 'move' ? indexOf.get(mover.target) : undefined;
+    }
+    return false;
+  };
+
+  ops.forEach(op => {
+    const report = message => problems.push(`${describeOp(op)}: ${message}`);
+    const start = indexOf.get(op.from);
+    const end = indexOf.get(op.to);
+    const missing = [op.from, op.to, op.target].find(n => n !== undefined && !indexOf.has(n));
+    if (missing !== undefined) return report(`there is no line ${missing}.`);
+    if (start > end) return report(`line ${op.from} comes after line ${op.to}.`);
+
+    if (op.type === 'insert') return addAt(after, start, [{ lines: op.newLines }]);
+    if (op.type === 'insertBefore') return addAt(before, start, op.newLines);
+
+    const range = parsedLines.slice(start, end + 1).map((_, k) => start + k);
+    const target = indexOf.get(op.target);
+    if (op.type === 'move' && landsIn(target, range)) {
+      return report('cannot move lines after one of themselves.');
+    }
+    const taken = range.find(index => claimed.has(index));
+    if (taken !== undefined) {
+      const line = parsedLines[taken].num ?? `at position ${taken + 1}`;
+      return report(`line ${line} is already changed by instruction ${claimed.get(taken).instruction}.`);
+    }
+
+    range.forEach(index => claimed.set(index, op));
+    if (op.type === 'replace') replaced.set(start, op.newLines);
+    if (op.type === 'move') addAt(after, target, range.map(index => ({ moved: index })));
+  });
+
+  // Line i with what was added around it; a moved line only shows up where it was moved to
+  const lines = [];
+  const emit = (i, moving = false) => {
+    if (!moving && claimed.get(i)?.type === 'move') return;
+    lines.push(...(before.get(i) || []));
+    if (!claimed.has(i) || moving) lines.push(parsedLines[i].text);
+    lines.push(...(replaced.get(i) || []));
+    (after.get(i) || []).forEach(piece => (piece.lines ? lines.push(...piece.lines) : emit(piece.moved, true)));
+  };
+  parsedLines.forEach((_, i) => emit(i));
+  return { lines, problems };
+}
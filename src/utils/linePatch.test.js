@@ -0,0 +1,107 @@
+import { numberLines, parseNumberedCode, parseInstructions, applyLineOps } from './linePatch';
+
+const run = (code, instructions) => applyLineOps(parseNumberedCode(code), parseInstructions(instructions));
+
+const CODE = ['1a', '2b', '3c', '4d'].join('\n');
+
+describe('line patch', () => {
+  it('parses numbered code and instructions', () => {
+    expect(parseNumberedCode('12foo\nbar')).toEqual([{ num: 12, text: 'foo' }, { num: null, text: 'bar' }]);
+    expect(parseInstructions('Remove line 1\n\nAdd after line 2: x\n  y\nReplace line 3 with: z')).toEqual([
+      { type: 'remove', from: 1, to: 1, instruction: 1 },
+      { type: 'insert', from: 2, to: 2, newLines: ['x', '  y'], instruction: 2 },
+      { type: 'replace', from: 3, to: 3, newLines: ['z'], instruction: 3 }
+    ]);
+  });
+
+  it('round-trips numbered code exactly', () => {
+    const text = Array.from({ length: 11 }, (_, i) => `  Line ${i}`).concat(['404: Not Found', '', '\tEnd ']).join('\n');
+    const numbered = numberLines(text);
+    expect(numbered.split('\n').slice(8, 10)).toEqual([' 9|   Line 8', '10|   Line 9']);
+    const parsed = parseNumberedCode(numbered);
+    expect(parsed[11]).toEqual({ num: 12, text: '404: Not Found' });
+    expect(parsed.map(l => l.text).join('\n')).toBe(text);
+  });
+
+  it('keeps accepting the legacy format', () => {
+    expect(parseNumberedCode('1  Foo\n2bar ')).toEqual([{ num: 1, text: 'Foo' }, { num: 2, text: 'bar' }]);
+  });
+
+  it('reads legacy code containing "||" as legacy', () => {
+    expect(parseNumberedCode('1if (a\n12|| b) {')).toEqual([
+      { num: 1, text: 'if (a' },
+      { num: 12, text: '|| b) {' }
+    ]);
+  });
+
+  it('parses ranges, blocks, add-before and moves', () => {
+    const text = [
+      'Remove lines 2-4',
+      'Replace lines 5 - 6 with:',
+      '  one',
+      '  two',
+      'Add before line 1:',
+      '',
+      'Move line 7 after line 1'
+    ].join('\n');
+    expect(parseInstructions(text)).toEqual([
+      { type: 'remove', from: 2, to: 4, instruction: 1 },
+      { type: 'replace', from: 5, to: 6, newLines: ['  one', '  two'], instruction: 2 },
+      { type: 'insertBefore', from: 1, to: 1, newLines: [''], instruction: 3 },
+      { type: 'move', from: 7, to: 7, target: 1, instruction: 4 }
+    ]);
+  });
+
+  it('applies range instructions against the original numbering', () => {
+    const code = ['1a', '2b', '3c', '4d', '5e'].join('\n');
+    const result = run(code, [
+      'Move lines 1-2 after line 4',
+      'Replace lines 3-4 with: C',
+      'D',
+      'Add before line 5: x',
+      'Remove line 5'
+    ].join('\n'));
+    expect(result).toEqual({ lines: ['C', 'D', 'a', 'b', 'x'], problems: [] });
+  });
+
+  it('reports reversed ranges, overlaps and moves into themselves', () => {
+    const code = ['1a', '2b', '3c', '4d'].join('\n');
+    const { problems } = run(code, 'Remove lines 3-2\nRemove lines 1-2\nMove lines 2-3 after line 4\nMove lines 3-4 after line 3');
+    expect(problems).toEqual([
+      'Instruction 1 (remove lines 3-2): line 3 comes after line 2.',
+      'Instruction 3 (move lines 2-3 after line 4): line 2 is already changed by instruction 2.',
+      'Instruction 4 (move lines 3-4 after line 3): cannot move lines after one of themselves.'
+    ]);
+  });
+
+  it('refers every instruction to the original numbering, in any order', () => {
+    const expected = ['b', 'new', 'C', 'd'];
+    expect(run(CODE, 'Remove line 1\nAdd after line 2: new\nReplace line 3 with: C').lines).toEqual(expected);
+    expect(run(CODE, 'Replace line 3 with: C\nAdd after line 2: new\nRemove line 1').lines).toEqual(expected);
+  });
+
+  it('takes lines added around a moved line along with it, in any order', () => {
+    expect(run(CODE, 'Move line 2 after line 4\nAdd after line 2: x').lines).toEqual(['a', 'c', 'd', 'b', 'x']);
+    expect(run(CODE, 'Add after line 2: x\nMove line 2 after line 4').lines).toEqual(['a', 'c', 'd', 'b', 'x']);
+    expect(run(CODE, 'Add before line 2: x\nMove line 2 after line 4').lines).toEqual(['a', 'c', 'd', 'x', 'b']);
+  });
+
+  it('reports moves that would land after their own lines through another move', () => {
+    const { lines, problems } = run(CODE, 'Move line 1 after line 3\nMove line 3 after line 1');
+    expect(lines).toEqual(['b', 'c', 'a', 'd']);
+    expect(problems).toEqual(['Instruction 2 (move line 3 after line 1): cannot move lines after one of themselves.']);
+  });
+
+  it('keeps lines added after the same line in instruction order', () => {
+    expect(run(CODE, 'Add after line 4: x\n\nAdd after line 4: y').lines).toEqual(['a', 'b', 'c', 'd', 'x', 'y']);
+  });
+
+  it('reports missing lines and conflicting changes instead of applying them', () => {
+    const { lines, problems } = run(CODE, 'Remove line 2\nReplace line 2 with: B\nRemove line 9');
+    expect(lines).toEqual(['a', 'c', 'd']);
+    expect(problems).toEqual([
+      'Instruction 2 (replace line 2): line 2 is already changed by instruction 1.',
+      'Instruction 3 (remove line 9): there is no line 9.'
+    ]);
+  });
+});
@@ -0,0 +1,41 @@
+// FILE: src/utils/sessionApi.js
+
+import api, { ApiError, getApiStatus, checkConnection } from './api';
+
+/* ------------------ Shared Sessions (backend) ------------------ */
+
+// What each patcher saves; the /session/:id route uses it to pick the patcher to open
+export const SESSION_KINDS = { patcher: 'patcher', linePatcher: 'linePatcher' };
+
+// Saving or loading is something the user asked for, so an offline server gets another chance
+async function reconnect() {
+  if (getApiStatus() === 'offline') await checkConnection();
+}
+
+// Stores a patcher's state on the backend; resolves to the new session's id
+export async function saveSession(kind, state) {
+  await reconnect();
+  const { data } = await api.post('/sessions', { kind, state });
+  return data.id;
+}
+
+// Resolves to { id, kind, state } as saved by saveSession
+export async function loadSession(id) {
+  await reconnect();
+  const { data } = await api.get(`/sessions/${encodeURIComponent(id)}`);
+  return data;
+}
+
+// Link that opens a saved session in this app
+export function sessionUrl(id) {
+  return `${window.location.origin}/session/${encodeURIComponent(id)}`;
+}
+
+// A readable message for a failed session request
+export function describeApiError(err) {
+  if (err instanceof ApiError && err.status === 404) return 'That session does not exist (or has been deleted).';
+  if (err instanceof ApiError && err.kind === 'offline') {
+    return `${err.message} Your work is still saved in this browser.`;
+  }
+  return err.message;
+}
@@ -0,0 +1,32 @@
+import api, { ApiError } from './api';
+import { saveSession, loadSession, sessionUrl, describeApiError } from './sessionApi';
+
+jest.mock('./api', () => ({
+  ...jest.requireActual('./api'),
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn() }
+}));
+
+describe('sessionApi', () => {
+  it('posts the state and returns the new id', async () => {
+    api.post.mockResolvedValue({ data: { id: 'abc' } });
+    await expect(saveSession('patcher', { original: 'x' })).resolves.toBe('abc');
+    expect(api.post).toHaveBeenCalledWith('/sessions', { kind: 'patcher', state: { original: 'x' } });
+  });
+
+  it('loads a session by id', async () => {
+    api.get.mockResolvedValue({ data: { id: 'a/b', kind: 'patcher', state: {} } });
+    await expect(loadSession('a/b')).resolves.toEqual({ id: 'a/b', kind: 'patcher', state: {} });
+    expect(api.get).toHaveBeenCalledWith('/sessions/a%2Fb');
+  });
+
+  it('links to the session route', () => {
+    expect(sessionUrl('abc')).toBe(`${window.location.origin}/session/abc`);
+  });
+
+  it('describes missing sessions and offline mode', () => {
+    expect(describeApiError(new ApiError('http', 'Not found', { status: 404 }))).toMatch(/does not exist/);
+    expect(describeApiError(new ApiError('offline', 'Offline.'))).toMatch(/saved in this browser/);
+    expect(describeApiError(new ApiError('timeout', 'Too slow.'))).toBe('Too slow.');
+  });
+});
@@ -0,0 +1,94 @@
+// FILE: src/utils/sessions.js
+
+import { useState, useEffect, useMemo } from 'react';
+import debounce from 'lodash.debounce';
+import { loadJSON, saveJSON, useStoredState } from './storage';
+
+/* ------------------ Saved Sessions ------------------ */
+
+// Apply runs kept per patcher, newest first; older ones drop off
+export const MAX_RUNS = 20;
+
+// The draft is autosaved once changes pause this long
+const DRAFT_SAVE_MS = 500;
+
+// localStorage keys for one patcher ('patcher', 'linePatcher', …)
+export function sessionKeys(scope) {
+  return {
+    draft: `legend.${scope}.draft`,
+    runs: `legend.${scope}.runs`,
+    snapshots: `legend.${scope}.snapshots`
+  };
+}
+
+// The autosaved state of `scope` from the last visit, or null
+export function loadDraft(scope) {
+  return loadJSON(sessionKeys(scope).draft, null);
+}
+
+/**
+ * sessionItem: a saved run or snapshot
+ *   { id, at, label, name?, detail?, text: the result, state: whatever the patcher restores }
+ */
+export function sessionItem(fields, at = Date.now()) {
+  const id = `${at.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  return { id, at, ...fields };
+}
+
+export function addRun(runs, run, max = MAX_RUNS) {
+  return [run, ...runs].slice(0, max);
+}
+
+// Saving under a name that exists replaces that snapshot
+export function addSnapshot(snapshots, snapshot) {
+  return [snapshot, ...snapshots.filter(s => s.name !== snapshot.name)];
+}
+
+export function removeItem(list, id) {
+  return list.filter(item => item.id !== id);
+}
+
+/**
+ * useSession: autosave plus the run history and named snapshots of one patcher
+ *   draft  – the state to autosave (memoize it); written to localStorage once changes pause,
+ *            and on unmount
+ *   shared – the state was opened from a /session/:id link: the scope's own draft is left alone
+ *            until the state changes, so opening a link never overwrites local work
+ *   Returns { runs, snapshots, keepingDraft: true while a shared state is not autosaved,
+ *   saveFailed: true while the draft, runs or snapshots could not be stored (storage full),
+ *   recordRun, saveSnapshot, deleteSnapshot, clearRuns }; the record/save helpers take
+ *   sessionItem fields.
+ */
+export function useSession(scope, draft, { shared = false } = {}) {
+  const keys = sessionKeys(scope);
+  const [runs, setRuns, runsSaved] = useStoredState(keys.runs, []);
+  const [snapshots, setSnapshots, snapshotsSaved] = useStoredState(keys.snapshots, []);
+  const [opened] = useState(() => (shared ? JSON.stringify(draft) : null));
+  const [keepingDraft, setKeepingDraft] = useState(shared);
+  const [draftSaved, setDraftSaved] = useState(true);
+
+  const saveDraft = useMemo(
+    () => debounce((key, value) => setDraftSaved(saveJSON(key, value)), DRAFT_SAVE_MS),
+    []
+  );
+  useEffect(() => () => saveDraft.flush(), [saveDraft]);
+
+  useEffect(() => {
+    if (keepingDraft) {
+      if (JSON.stringify(draft) === opened) return;
+      setKeepingDraft(false);
+    }
+    saveDraft(keys.draft, draft);
+  }, [keys.draft, draft, keepingDraft, opened, saveDraft]);
+
+  return {
+    runs,
+    snapshots,
+    keepingDraft,
+    saveFailed: !draftSaved || !runsSaved || !snapshotsSaved,
+    recordRun: fields => setRuns(prev => addRun(prev, sessionItem(fields))),
+    saveSnapshot: fields => setSnapshots(prev => addSnapshot(prev, sessionItem(fields))),
+    deleteSnapshot: id => setSnapshots(prev => removeItem(prev, id)),
+    clearRuns: () => setRuns([])
+  };
+}
@@ -0,0 +1,24 @@
+import { sessionItem, addRun, addSnapshot, removeItem, loadDraft, sessionKeys } from './sessions';
+
+describe('sessions', () => {
+  it('keeps the newest runs first, up to the limit', () => {
+    const runs = [1, 2, 3].reduce((list, n) => addRun(list, { n }, 2), []);
+    expect(runs.map(r => r.n)).toEqual([3, 2]);
+  });
+
+  it('replaces a snapshot saved under the same name', () => {
+    const first = sessionItem({ name: 'wip', text: 'a' }, 1);
+    const other = sessionItem({ name: 'other', text: 'b' }, 2);
+    const second = sessionItem({ name: 'wip', text: 'c' }, 3);
+    const list = addSnapshot(addSnapshot(addSnapshot([], first), other), second);
+    expect(list.map(s => s.text)).toEqual(['c', 'b']);
+    expect(removeItem(list, second.id)).toEqual([other]);
+  });
+
+  it('loads the autosaved draft', () => {
+    expect(loadDraft('test')).toBeNull();
+    window.localStorage.setItem(sessionKeys('test').draft, JSON.stringify({ original: 'x' }));
+    expect(loadDraft('test')).toEqual({ original: 'x' });
+    window.localStorage.clear();
+  });
+});
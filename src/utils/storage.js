@@ -0,0 +1,41 @@
+// FILE: src/utils/storage.js
+
+import { useState, useEffect } from 'react';
+
+/* ------------------ Local Storage ------------------ */
+
+// Reads a JSON value, falling back when it is missing, unreadable or storage is blocked
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Writes a JSON value; false when storage is full or blocked, so the value won't survive a reload
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * useStoredState: useState that is loaded from and saved to localStorage under `key`
+ *   `initial` is used when nothing is stored yet.
+ *   Returns [value, setValue, saved: false while the last save failed].
+ */
+export function useStoredState(key, initial) {
+  const [value, setValue] = useState(() => loadJSON(key, initial));
+  const [saved, setSaved] = useState(true);
+
+  useEffect(() => {
+    setSaved(saveJSON(key, value));
+  }, [key, value]);
+
+  return [value, setValue, saved];
+}
@@ -0,0 +1,10 @@
+// FILE: src/utils/zip.js
+
+import JSZip from 'jszip';
+
+// Packs [{ path, text }] into a zip Blob, keeping folder structure
+export function zipFiles(files) {
+  const zip = new JSZip();
+  files.forEach(({ path, text }) => zip.file(path, text));
+  return zip.generateAsync({ type: 'blob' });
+}